@@ -1,44 +1,254 @@
 #!/usr/bin/env node
 
-const { syncStackedPRs } = require('../src')
+const { EventEmitter } = require('events')
+const {
+  syncStackedPRs,
+  continueSync,
+  abortSync,
+  undoSync,
+  getStackStatus,
+  importStack,
+  inferStack,
+  createStack,
+  addBranch,
+  removeBranch,
+  moveBranch,
+  renameStack,
+  setDefaultStack,
+  listBackups,
+  pruneBackups,
+  listOrphanedStashes,
+  ConflictError,
+  VerifyError,
+  HookVetoError,
+  InterruptedError,
+  StackedPRSyncError,
+} = require('../src')
+const { printStackStatus } = require('../src/services/stack-status')
+const { printBackups } = require('../src/services/backups')
+const { printOrphanedStashes } = require('../src/services/stashes')
 const { parseArguments } = require('../src/utils/cli')
-const { logInfo, logSuccess, logError } = require('../src/utils/logger')
+const { listStacks, showConfig, showStack } = require('../src/utils/config')
+const { resolveStackTree, formatStack } = require('../src/utils/stack-tree')
+const { log, logInfo, logSuccess, logWarning, logError, getReporter } = require('../src/utils/logger')
+const { runInterruptCleanup } = require('../src/utils/interrupt')
+const { releaseLock } = require('../src/utils/lock')
 
-// Main execution
-if (require.main === module) {
-  try {
-  const branches = parseArguments()
+// Exit codes for the signals we clean up after: 128 + the signal number, the way shells report them
+const SIGNAL_EXIT_CODES = { SIGINT: 130, SIGTERM: 143 }
+
+// The parsed command line of this run, for the failure message (null while the arguments are being read)
+let currentRun = null
+
+// Name a run for messages: sync, sync --continue, stack add, backups prune...
+function describeRun({ command, args = [], options }) {
+  if (options.continue || options.abort) {
+    return `${command} --${options.continue ? 'continue' : 'abort'}`
+  }
+  return ['stack', 'backups'].includes(command) && args[0] ? `${command} ${args[0]}` : command
+}
+
+// `stack` subcommands: print the config, or edit it and report the changed stack
+function runStackCommand([subcommand, ...args], options) {
+  if (subcommand === 'list') {
+    getReporter().printDocument('stacks', listStacks())
+    return
+  }
+  if (subcommand === 'show') {
+    const shown = args[0] ? showStack(args[0]) : showConfig()
+    process.exitCode = shown || !args[0] ? 0 : 1
+    if (shown) {
+      getReporter().printDocument(args[0] ? 'stack' : 'config', shown)
+    }
+    return
+  }
+
+  const edits = {
+    create: () => createStack(args[0], args.slice(1), options),
+    add: () => addBranch(options.stackName, args[0], options),
+    remove: () => removeBranch(options.stackName, args[0]),
+    move: () => moveBranch(options.stackName, args[0], options),
+    rename: () => renameStack(args[0], args[1]),
+    'set-default': () => setDefaultStack(args[0]),
+  }
+  getReporter().printDocument('stack', edits[subcommand]())
+}
+
+// Thin CLI wrapper: parse arguments, call the API, turn the outcome into output and an exit code
+async function main() {
+  currentRun = parseArguments()
+  const { command, branches: listedBranches, args, options } = currentRun
+
+  if (command === 'infer') {
+    getReporter().printDocument('infer', { branches: await inferStack(options, { confirm: false }) })
+    return
+  }
+  if (command === 'stack') {
+    runStackCommand(args, options)
+    return
+  }
+  // With --infer the branches come from history; a sync asks for confirmation before anything changes
+  const branches = options.infer ? await inferStack(options, { confirm: command === 'sync' }) : listedBranches
+
+  if (command === 'status') {
+    const report = getStackStatus(branches, options)
+    printStackStatus(report)
+    getReporter().printDocument('status', report)
+    process.exitCode = report.needsSync ? 1 : 0
+    return
+  }
+
+  if (command === 'import') {
+    const result = await importStack(options.fromPrs, options)
+    getReporter().printDocument('import', result)
+    return
+  }
+
+  if (command === 'backups') {
+    if (args[0] === 'prune') {
+      const pruned = pruneBackups(options.keep)
+      logSuccess(`Pruned ${pruned.length} backup(s), kept the newest ${options.keep}`)
+      getReporter().printDocument('backups', { pruned })
+      return
+    }
+    const backups = listBackups()
+    printBackups(backups)
+    getReporter().printDocument('backups', { backups })
+    return
+  }
+
+  if (command === 'stash-recover') {
+    const stashes = listOrphanedStashes()
+    printOrphanedStashes(stashes)
+    getReporter().printDocument('stash-recover', { stashes })
+    process.exitCode = stashes.length > 0 ? 1 : 0
+    return
+  }
+
+  // The reporter (human, --json or --ndjson) listens to the API's progress events
+  const events = new EventEmitter()
+  getReporter().attach(events)
+  options.events = events
 
-    console.log('')
+  if (options.abort) {
+    getReporter().finish(await abortSync(options))
+    return
+  }
+
+  if (command === 'undo') {
+    const result = await undoSync(args[0], options)
+    result.branches.forEach((branch) => {
+      logInfo(`   ${branch.branch}: ${branch.status}`)
+    })
+    getReporter().finish(result)
+    return
+  }
+
+  log('')
+  if (options.continue) {
+    logInfo('🚀 Continuing Stacked PR Sync')
+    logInfo('============================')
+  } else {
     logInfo('🚀 Starting Stacked PR Sync')
     logInfo('==========================')
-    logInfo(`📋 Branch sequence: ${branches.join(' → ')}`)
-    console.log('')
-
-  syncStackedPRs(branches)
-    .then(() => {
-        console.log('')
-        logSuccess('✅ Stacked PR sync completed successfully!')
-        console.log('')
-        logInfo('💡 Next steps:')
-        logInfo('   • Review the changes in each branch')
-        logInfo('   • Push branches if needed: git push origin <branch>')
-        logInfo('   • Create/update pull requests')
-        console.log('')
+    const tree = resolveStackTree(branches, options.parents)
+    logInfo(`📋 Branch sequence: ${formatStack(tree.branches, tree.parents)}`)
+    logInfo(`🔀 Strategy: ${options.strategy}`)
+  }
+  log('')
+
+  const result = options.continue ? await continueSync(options) : await syncStackedPRs(branches, options)
+
+  // In strict mode a branch that couldn't be updated or didn't make it to the remote, or a pull request that
+  // failed, fails the run
+  const incomplete = result.branches.some((branch) => branch.status === 'blocked') ||
+    result.pushes.some((push) => push.status === 'rejected' || push.status === 'vetoed') ||
+    result.pullRequests.some((pullRequest) => pullRequest.action === 'failed')
+  log('')
+  if (incomplete && options.strictMode) {
+    logWarning('⚠️  Stacked PR sync finished, but not every branch, push or pull request went through')
+    process.exitCode = 1
+  } else {
+    logSuccess('✅ Stacked PR sync completed successfully!')
+  }
+  result.branches.forEach((branch) => {
+    logInfo(`   ${branch.parent} → ${branch.branch}: ${branch.status}${branch.reason ? ` (${branch.reason})` : ''}`)
+  })
+  if (result.pushes.length > 0) {
+    log('')
+    logInfo('📤 Push summary:')
+    result.pushes.forEach((push) => {
+      const notes = [push.reason, push.forced && 'forced with lease', push.upstreamSet && 'upstream set'].filter(Boolean)
+      logInfo(`   ${push.branch}: ${push.status}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`)
     })
-    .catch((error) => {
-        console.log('')
-        logError(`❌ Sync failed: ${error.message}`)
-        console.log('')
-        logInfo('💡 Troubleshooting:')
-        logInfo('   • Check if all branches exist')
-        logInfo('   • Ensure working directory is clean')
-        logInfo('   • Resolve any merge conflicts manually')
-        console.log('')
-      process.exit(1)
+  }
+  if (result.pullRequests.length > 0) {
+    log('')
+    logInfo('🔗 Pull requests:')
+    result.pullRequests.forEach((pullRequest) => {
+      const link = pullRequest.number ? ` #${pullRequest.number} ${pullRequest.url || ''}`.trimEnd() : ''
+      const reason = pullRequest.reason ? ` (${pullRequest.reason})` : ''
+      logInfo(`   ${pullRequest.branch}: ${pullRequest.action}${link}${reason}`)
     })
+  }
+  log('')
+  logInfo('💡 Next steps:')
+  logInfo('   • Review the changes in each branch')
+  logInfo(`   • Push branches if needed: git push ${options.remote || 'origin'} <branch>`)
+  if (result.pullRequests.length === 0) {
+    logInfo('   • Create/update pull requests (or let --prs do it)')
+  }
+  logInfo(`   • Changed your mind? Undo the sync: npx stacked-pr-sync undo ${result.backupId}`)
+  log('')
+  getReporter().finish(result)
+}
+
+// A signal that arrives while the event loop is free (waiting on a prompt or the network): let the running
+// command put the repository back in order, then exit. A signal git saw first stops the command instead,
+// and main's error handler reports it.
+function handleSignal(signal) {
+  try {
+    runInterruptCleanup(signal)
   } catch (error) {
-    logError(`❌ Error: ${error.message}`)
-    process.exit(1)
+    logWarning(`Could not clean up after ${signal}: ${error.message}`)
   }
-} 
\ No newline at end of file
+  releaseLock()
+  getReporter().finish(null, new InterruptedError(signal))
+  logError(`❌ Interrupted by ${signal}`)
+  process.exit(SIGNAL_EXIT_CODES[signal])
+}
+
+// Main execution
+if (require.main === module) {
+  process.on('SIGINT', handleSignal)
+  process.on('SIGTERM', handleSignal)
+
+  main().catch((error) => {
+    getReporter().finish(null, error)
+
+    // Conflicts, failed checks and vetoed updates have already been explained step by step
+    const paused = error instanceof HookVetoError && error.stage === 'postMerge'
+    if (error instanceof ConflictError || error instanceof VerifyError || paused) {
+      process.exit(1)
+    }
+    // So has what an interrupted sync left behind
+    if (error instanceof InterruptedError) {
+      logError(`❌ ${error.message}`)
+      process.exit(SIGNAL_EXIT_CODES[error.signal])
+    }
+
+    log('')
+    logError(currentRun ? `❌ ${describeRun(currentRun)} failed: ${error.message}` : `❌ ${error.message}`)
+    log('')
+    // The tips are about updating branches, which only a sync (or resuming one) does
+    const syncing = currentRun && currentRun.command === 'sync' && !currentRun.options.abort
+    if (syncing && !(error instanceof StackedPRSyncError)) {
+      logInfo('💡 Troubleshooting:')
+      logInfo('   • Check if all branches exist')
+      logInfo('   • Ensure working directory is clean')
+      logInfo('   • Resolve any merge conflicts manually')
+      log('')
+    }
+    process.exit(1)
+  })
+}
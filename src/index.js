@@ -1,6 +1,39 @@
 #!/usr/bin/env node
 
-const { syncStackedPRs } = require('./services/sync-manager')
+const { syncStackedPRs, continueSync, abortSync, undoSync } = require('./services/sync-manager')
+const { getStackStatus } = require('./services/stack-status')
+const { listBackups, pruneBackups } = require('./services/backups')
+const { listOrphanedStashes } = require('./services/stashes')
+const { importStack } = require('./services/stack-import')
+const { inferStack } = require('./services/stack-inference')
+const {
+  createStack,
+  addBranch,
+  removeBranch,
+  moveBranch,
+  renameStack,
+  setDefaultStack,
+} = require('./services/stack-editor')
+const { setQuestionHandler } = require('./utils/prompt')
+const errors = require('./utils/errors')
 
-module.exports = { syncStackedPRs }
- 
\ No newline at end of file
+module.exports = {
+  syncStackedPRs,
+  continueSync,
+  abortSync,
+  undoSync,
+  getStackStatus,
+  importStack,
+  inferStack,
+  createStack,
+  addBranch,
+  removeBranch,
+  moveBranch,
+  renameStack,
+  setDefaultStack,
+  listBackups,
+  pruneBackups,
+  listOrphanedStashes,
+  setQuestionHandler,
+  ...errors,
+}
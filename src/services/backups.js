@@ -0,0 +1,113 @@
+const { updateRef, deleteRef, listRefs, writeBlob, readBlob } = require('../utils/git')
+const { log, logStep, logInfo, logSuccess } = require('../utils/logger')
+const { StackedPRSyncError } = require('../utils/errors')
+const { withLockSync } = require('../utils/lock')
+
+// Snapshots live in a private ref namespace: one ref per branch tip (what `undo` restores), one for the
+// stash so it survives being dropped, and one pointing at a JSON blob describing the whole snapshot
+const BACKUP_PREFIX = 'refs/stacked-pr-sync/backup'
+const STASH_PREFIX = 'refs/stacked-pr-sync/stash'
+const META_PREFIX = 'refs/stacked-pr-sync/meta'
+// How many snapshots are kept: each new one deletes the oldest past this many, and so does `backups prune`
+const KEEP_BACKUPS = 10
+
+// Sortable, ref-safe id from the current time, e.g. 20261019-180102
+function newBackupId(existingIds) {
+  const base = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15)
+  // Later snapshots in the same second count on from the newest, even once the oldest of them were pruned
+  const taken = existingIds
+    .filter((id) => id === base || id.startsWith(`${base}-`))
+    .map((id) => (id === base ? 1 : Number(id.slice(base.length + 1))))
+  return taken.length > 0 ? `${base}-${Math.max(...taken) + 1}` : base
+}
+
+// Record every branch tip, the checked-out branch and the stash before a sync moves anything
+function createBackup({ branches, originalTips, originalBranch, originalHead, stashSha }) {
+  const id = newBackupId(listBackups().map((backup) => backup.id))
+  const backup = {
+    id,
+    createdAt: new Date().toISOString(),
+    branches,
+    tips: originalTips,
+    originalBranch,
+    originalHead,
+    stashSha,
+  }
+
+  for (const branch of branches) {
+    if (originalTips[branch]) {
+      updateRef(`${BACKUP_PREFIX}/${id}/${branch}`, originalTips[branch])
+    }
+  }
+  if (stashSha) {
+    updateRef(`${STASH_PREFIX}/${id}`, stashSha)
+  }
+  updateRef(`${META_PREFIX}/${id}`, writeBlob(JSON.stringify(backup)))
+  pruneBackups(KEEP_BACKUPS)
+
+  logInfo(`Backup ${id} saved. Undo this sync with: npx stacked-pr-sync undo ${id}`)
+  return backup
+}
+
+// All snapshots, newest first
+function listBackups() {
+  return listRefs(META_PREFIX)
+    .map(({ sha }) => JSON.parse(readBlob(sha)))
+    // Numeric, so that a 10th snapshot in the same second (-10) sorts after the 2nd (-2)
+    .sort((a, b) => b.id.localeCompare(a.id, undefined, { numeric: true }))
+}
+
+// Find a snapshot by id, or the newest one when no id is given
+function getBackup(id) {
+  const backups = listBackups()
+  const backup = id ? backups.find((candidate) => candidate.id === id) : backups[0]
+  if (!backup) {
+    const message = id ? `No backup with id ${id}. List them with: npx stacked-pr-sync backups` : 'No backups found.'
+    throw new StackedPRSyncError(message, 'BACKUP_NOT_FOUND')
+  }
+  return backup
+}
+
+// Delete a snapshot's refs so git can collect what only it kept alive
+function deleteBackup(backup) {
+  listRefs(`${BACKUP_PREFIX}/${backup.id}/`).forEach(({ ref }) => deleteRef(ref))
+  if (backup.stashSha) {
+    deleteRef(`${STASH_PREFIX}/${backup.id}`)
+  }
+  deleteRef(`${META_PREFIX}/${backup.id}`)
+}
+
+// Delete a snapshot that turned out to have nothing to undo
+function discardBackup(id) {
+  deleteBackup(getBackup(id))
+}
+
+// Keep the newest `keep` snapshots and delete the rest; returns the deleted ones
+function pruneBackups(keep = KEEP_BACKUPS) {
+  const pruned = listBackups().slice(keep)
+  pruned.forEach(deleteBackup)
+  return pruned
+}
+
+// Print snapshots, newest first
+function printBackups(backups) {
+  logStep('Backups', backups.length > 0 ? `${backups.length} snapshot(s), newest first` : 'No snapshots yet')
+  log('')
+  backups.forEach((backup) => {
+    const stash = backup.stashSha ? ', with stash' : ''
+    logSuccess(`${backup.id}  ${backup.branches.join(' → ')}  (on ${backup.originalBranch || 'detached HEAD'}${stash})`)
+  })
+  if (backups.length > 0) {
+    log('')
+    logInfo('Restore one with: npx stacked-pr-sync undo <id>   Prune old ones with: npx stacked-pr-sync backups prune')
+  }
+}
+
+module.exports = {
+  createBackup,
+  listBackups,
+  getBackup,
+  discardBackup,
+  pruneBackups: withLockSync('backups prune', pruneBackups),
+  printBackups,
+}
@@ -1,36 +1,146 @@
-const { performDryRunMerge } = require('../utils/git')
+const {
+  simulateMerge,
+  supportsMergeTreeWriteTree,
+  createMergeCommit,
+  getMergeBase,
+  getRecentCommits,
+} = require('../utils/git')
 const { logStep, logSuccess, logError, logWarning, logInfo } = require('../utils/logger')
+const { ConflictError } = require('../utils/errors')
+const { getLineage } = require('../utils/stack-tree')
 
-// Check all potential merge conflicts before starting sync
-async function checkAllPotentialConflicts(branches) {
+// Merge branches[start] up the chain to branches[end], returning the simulated last merge.
+// Each step merges the previous simulated result, just like the real sync merges the updated parent.
+function simulateCascade(branches, start, end) {
+  let source = branches[start]
+
+  for (let i = start; i < end; i++) {
+    const target = branches[i + 1]
+    const result = simulateMerge(source, target)
+
+    if (i === end - 1 || result.hasConflicts || result.error) {
+      return { ...result, blocked: i !== end - 1 }
+    }
+    source = createMergeCommit(result.tree, [target, source], `Simulated merge of ${branches[i]} into ${target}`)
+  }
+
+  return null
+}
+
+// Find the lowest branch whose changes have to flow up the stack for the conflict on branches[index] → branches[index + 1] to appear
+function findConflictOrigin(branches, index) {
+  for (let start = index - 1; start >= 0; start--) {
+    const result = simulateCascade(branches, start, index + 1)
+    if (!result.blocked && result.hasConflicts) {
+      return branches[start]
+    }
+  }
+  return branches[0]
+}
+
+// Attach the latest commits from each side that touched every conflicting file
+function describeConflictedFiles(conflictedFiles, sourceRef, targetBranch) {
+  const mergeBase = getMergeBase(sourceRef, targetBranch)
+
+  return conflictedFiles.map((file) => ({
+    ...file,
+    targetCommits: mergeBase ? getRecentCommits(`${mergeBase}..${targetBranch}`, file.paths) : [],
+    sourceCommits: mergeBase ? getRecentCommits(`${mergeBase}..${sourceRef}`, file.paths) : [],
+  }))
+}
+
+// Check all potential merge conflicts before starting sync, each branch against its parent (`parents`).
+// Branches in `rebased` are checked the way the sync rebases them: a child of a landed branch (`reparented` maps it
+// to the landed tip) from that tip, and a branch built on a rebased one from its parent's tip as it is now.
+// Merges are computed in memory, so this never changes HEAD, the index or the working tree.
+async function checkAllPotentialConflicts(branches, parents, { reparented = {}, rebased = [] } = {}) {
   logStep('Conflict Check', 'Checking for potential merge conflicts across all branches...')
 
+  // Without merge-tree --write-tree there is no merged tree to carry up the stack, so check each pair as it is now
+  const cascade = supportsMergeTreeWriteTree()
+  if (!cascade) {
+    logWarning('git 2.38+ is needed to predict conflicts across the whole stack; checking each pair on its own.')
+  }
+
   const conflicts = []
+  // What each branch will look like once synced: the simulated merge commit, or the branch as it is now
+  const simulated = { [branches[0]]: branches[0] }
 
-  for (let i = 0; i < branches.length - 1; i++) {
-    const sourceBranch = branches[i]
-    const targetBranch = branches[i + 1]
+  for (const targetBranch of branches.slice(1)) {
+    const sourceBranch = parents[targetBranch]
+    const source = simulated[sourceBranch]
 
+    // A rebased branch only has its own commits replayed: a merge from the point it is cut at is the same change
+    let cutAt = null
+    if (rebased.includes(targetBranch)) {
+      cutAt = reparented[targetBranch] || sourceBranch
+    }
     logInfo(`Checking: ${sourceBranch} → ${targetBranch}`)
-    const result = performDryRunMerge(sourceBranch, targetBranch)
+    const result = simulateMerge(cascade ? source : sourceBranch, targetBranch, cutAt)
 
     if (result.hasConflicts) {
+      // A conflict that the pair doesn't have on its own comes from a branch further down the chain. A branch cut
+      // at its parent's tip only conflicts with what its parent picks up, so that is where it comes from.
+      const direct = source === sourceBranch || cutAt === sourceBranch
+        ? result
+        : simulateMerge(sourceBranch, targetBranch, cutAt)
+      const lineage = getLineage(parents, targetBranch)
+      const originBranch = direct.hasConflicts ? sourceBranch : findConflictOrigin(lineage, lineage.length - 2)
+
       conflicts.push({
         sourceBranch,
         targetBranch,
+        originBranch,
+        files: describeConflictedFiles(result.conflictedFiles, cascade ? source : sourceBranch, targetBranch),
         error: result.error,
       })
-      logError(`⚠ Potential conflicts detected: ${sourceBranch} → ${targetBranch}`)
+
+      if (originBranch === sourceBranch) {
+        logError(`⚠ Potential conflicts detected: ${sourceBranch} → ${targetBranch}`)
+      } else {
+        logError(`⚠ Potential conflicts detected: ${sourceBranch} → ${targetBranch} (once ${originBranch}'s changes reach ${sourceBranch})`)
+      }
+
+      // The real sync stops here, so branches built on this one are checked against it as it is now
+      simulated[targetBranch] = targetBranch
+    } else if (result.error) {
+      logWarning(`Could not check ${sourceBranch} → ${targetBranch}: ${result.error}`)
+      simulated[targetBranch] = targetBranch
     } else {
       logSuccess(`✓ No conflicts: ${sourceBranch} → ${targetBranch}`)
+      simulated[targetBranch] = cascade && result.tree
+        ? createMergeCommit(result.tree, [targetBranch, source], `Simulated merge of ${sourceBranch} into ${targetBranch}`)
+        : targetBranch
     }
   }
 
   return conflicts
 }
 
-// Handle detected conflicts before starting sync
-async function handlePreDetectedConflicts(conflicts) {
+// Print each conflicting file with its conflict kind and who last touched it on either side
+function printConflictedFiles(conflict) {
+  const incoming = conflict.originBranch && conflict.originBranch !== conflict.sourceBranch
+    ? `${conflict.sourceBranch} (incl. ${conflict.originBranch})`
+    : conflict.sourceBranch
+
+  for (const file of conflict.files || []) {
+    const hunks = file.hunks > 0 ? `, ${file.hunks} conflicting hunk${file.hunks === 1 ? '' : 's'}` : ''
+    logWarning(`     ${file.paths.join(', ')} (${file.type}${hunks})`)
+
+    for (const [side, commits] of [[conflict.targetBranch, file.targetCommits], [incoming, file.sourceCommits]]) {
+      if (commits.length === 0) {
+        continue
+      }
+      logInfo(`       ${side}:`)
+      commits.forEach((commit) => {
+        logInfo(`         ${commit.sha} ${commit.subject} (${commit.author}, ${commit.date})`)
+      })
+    }
+  }
+}
+
+// Handle detected conflicts before starting sync: stop with a ConflictError, or only warn when not `strict`
+async function handlePreDetectedConflicts(conflicts, { strict = true } = {}) {
   if (conflicts.length === 0) {
     logSuccess('No potential conflicts detected! Safe to proceed with sync.')
     return true
@@ -38,21 +148,33 @@ async function handlePreDetectedConflicts(conflicts) {
 
   logError(`\n⚠️  ${conflicts.length} potential merge conflict(s) detected:`)
   conflicts.forEach((conflict, index) => {
-    logError(`  ${index + 1}. ${conflict.sourceBranch} → ${conflict.targetBranch}`)
+    const origin = conflict.originBranch && conflict.originBranch !== conflict.sourceBranch
+      ? ` (caused by changes from ${conflict.originBranch})`
+      : ''
+    logError(`  ${index + 1}. ${conflict.sourceBranch} → ${conflict.targetBranch}${origin}`)
+    printConflictedFiles(conflict)
   })
 
+  if (!strict) {
+    logWarning('\nContinuing anyway because strictMode is off; the sync will pause at the first real conflict.')
+    return false
+  }
+
   logWarning('\nPlease resolve these conflicts before proceeding with the sync.')
   logInfo('Resolve conflicts in the following order:')
 
   conflicts.forEach((conflict, index) => {
     logInfo(`  ${index + 1}. Switch to ${conflict.targetBranch} and merge ${conflict.sourceBranch}`)
+    if (conflict.originBranch && conflict.originBranch !== conflict.sourceBranch) {
+      logInfo(`     # Only conflicts after ${conflict.originBranch} has been merged up into ${conflict.sourceBranch}`)
+    }
     logInfo(`     git checkout ${conflict.targetBranch}`)
     logInfo(`     git merge ${conflict.sourceBranch}`)
-    logInfo(`     # Resolve conflicts, then: git add . && git commit`)
+    logInfo('     # Resolve conflicts, then: git add . && git commit')
   })
 
   logInfo('\nAfter resolving conflicts, run the sync command again.')
-  process.exit(1)
+  throw new ConflictError(`${conflicts.length} potential merge conflict(s) detected`, { phase: 'pre-check', conflicts })
 }
 
 module.exports = {
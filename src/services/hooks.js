@@ -0,0 +1,146 @@
+const path = require('path')
+const { runShellCommand } = require('../utils/shell')
+const { log, logStep, logSuccess, logError } = require('../utils/logger')
+const { emit } = require('../utils/events')
+const { StackedPRSyncError } = require('../utils/errors')
+
+// The points in a sync where hooks run, in the order they come up
+const HOOK_STAGES = ['preSync', 'postMerge', 'prePush', 'postSync']
+
+// Hook commands for each stage and the loaded plugins ({ name, plugin }) of the running sync
+let hooks = { commands: {}, plugins: [] }
+
+// Load a plugin: an object with a function for any of the stages, or the path of a module that exports one.
+// A path starting with . is resolved from the current directory; anything else is looked up like a package.
+function loadPlugin(plugin, index) {
+  let loaded = plugin
+  if (typeof plugin === 'string') {
+    try {
+      const local = path.isAbsolute(plugin) || plugin.startsWith('.')
+      loaded = require(local ? path.resolve(plugin) : require.resolve(plugin, { paths: [process.cwd()] }))
+    } catch (error) {
+      throw new StackedPRSyncError(`Could not load the plugin ${plugin}: ${error.message}`, 'INVALID_PLUGIN')
+    }
+  }
+
+  const name = (loaded && loaded.name) || (typeof plugin === 'string' ? plugin : `plugin ${index + 1}`)
+  if (!loaded || !HOOK_STAGES.some((stage) => typeof loaded[stage] === 'function')) {
+    throw new StackedPRSyncError(
+      `${name} has no hooks: a plugin needs a function for one of ${HOOK_STAGES.join(', ')}`,
+      'INVALID_PLUGIN'
+    )
+  }
+  return { name, plugin: loaded }
+}
+
+// Set the hooks of the running sync: the commands and plugins of the `hooks` setting (false turns them off),
+// then the plugins passed in the options
+function configureHooks(settings = {}) {
+  const configured = settings.hooks || {}
+  const plugins = [...(configured.plugins || []), ...(settings.plugins || [])]
+  hooks = {
+    commands: Object.fromEntries(HOOK_STAGES.map((stage) => [stage, [].concat(configured[stage] || [])])),
+    plugins: plugins.map(loadPlugin),
+  }
+}
+
+// The context as STACKED_PR_* variables, for hooks written as shell commands
+function getHookEnvironment(context) {
+  return {
+    STACKED_PR_HOOK: context.stage,
+    STACKED_PR_STACK: context.stack || '',
+    STACKED_PR_BRANCHES: context.branches.join(' '),
+    STACKED_PR_BRANCH: context.branch || '',
+    STACKED_PR_PARENT: context.parent || '',
+    STACKED_PR_OLD_SHA: context.before || '',
+    STACKED_PR_NEW_SHA: context.after || '',
+    STACKED_PR_REMOTE: context.remote || '',
+  }
+}
+
+// Run one hook command, always showing its output. Returns why it failed (a non-zero exit), or null.
+function runHookCommand(command, context) {
+  const { status, signal, output, seconds } = runShellCommand(command, {
+    env: getHookEnvironment(context),
+    input: `${JSON.stringify(context)}\n`,
+  })
+  output.trimEnd().split('\n').filter(Boolean).forEach((line) => log(`   ${line}`))
+  emit('hook', {
+    stage: context.stage,
+    hook: command,
+    branch: context.branch,
+    status: status === 0 ? 'passed' : 'failed',
+    exitCode: status,
+    seconds,
+  })
+
+  if (status === 0) {
+    return null
+  }
+  return status !== null ? `exit code ${status}` : signal ? `stopped by ${signal}` : 'could not be run'
+}
+
+// Call one plugin's hook. Besides the context it gets a `log` function that prints the way hook output is printed
+// (to stderr with --json and --ndjson). Returns why it failed (it returned false or threw), or null.
+async function runPluginHook({ name, plugin }, context) {
+  const started = Date.now()
+  const tools = { log: (line) => log(`   ${line}`) }
+  let reason = null
+  try {
+    if ((await plugin[context.stage](context, tools)) === false) {
+      reason = 'returned false'
+    }
+  } catch (error) {
+    reason = error.message
+  }
+  const seconds = Number(((Date.now() - started) / 1000).toFixed(1))
+  emit('hook', {
+    stage: context.stage,
+    hook: name,
+    branch: context.branch,
+    status: reason ? 'failed' : 'passed',
+    exitCode: null,
+    seconds,
+  })
+  return reason
+}
+
+// Run the hooks for `stage`, commands first and then plugins, stopping at the first that fails: that vetoes the
+// step. After the sync (postSync) there is nothing left to call off, so every hook runs.
+// Commands get the context as STACKED_PR_* variables and as JSON on stdin; plugins get it as their argument.
+// `context` says what the step is about: { stack, branches, strategy, worktree, branch, parent, before, after,
+// remote }, with null for what doesn't apply. Returns null when every hook passed, or { hook, reason } for the
+// first that failed.
+async function runHooks(stage, context) {
+  const commands = hooks.commands[stage] || []
+  const plugins = hooks.plugins.filter(({ plugin }) => typeof plugin[stage] === 'function')
+  if (commands.length === 0 && plugins.length === 0) {
+    return null
+  }
+
+  const full = { stage, ...context }
+  logStep('Hooks', `Running the ${stage} hooks${context.branch ? ` for ${context.branch}` : ''}`)
+  const steps = [
+    ...commands.map((command) => ({ hook: command, run: () => runHookCommand(command, full) })),
+    ...plugins.map((plugin) => ({ hook: plugin.name, run: () => runPluginHook(plugin, full) })),
+  ]
+  let failure = null
+  for (const { hook, run } of steps) {
+    const reason = await run()
+    if (!reason) {
+      logSuccess(`${hook} passed`)
+      continue
+    }
+    logError(`${hook} failed (${reason})`)
+    failure = failure || { hook, reason }
+    if (stage !== 'postSync') {
+      break
+    }
+  }
+  return failure
+}
+
+module.exports = {
+  configureHooks,
+  runHooks,
+}
@@ -0,0 +1,159 @@
+const {
+  getBranchTip,
+  getRemoteBranchTip,
+  getCurrentBranch,
+  getMergeBase,
+  countCommits,
+  countUnpickedCommits,
+  isOnFirstParentLine,
+  getDiffPatchId,
+  getCommitPatchIds,
+  resetBranch,
+} = require('../utils/git')
+const { logStep, logSuccess, logWarning, logInfo } = require('../utils/logger')
+const { loadConfig, findStackName, removeBranchFromStack } = require('../utils/config')
+const { askConfirm } = require('../utils/prompt')
+const { getRemoteRef } = require('../utils/remotes')
+
+const LANDING_DESCRIPTIONS = {
+  merged: 'merged',
+  'patch-equivalent': 'every commit was applied',
+  squashed: 'squash-merged',
+}
+
+// Resolve a stack branch to something git can compare: the local branch, else its remote copy
+function branchRef(branch) {
+  const localTip = getBranchTip(branch)
+  if (localTip) {
+    return { ref: branch, tip: localTip }
+  }
+  const remoteTip = getRemoteBranchTip(branch)
+  return remoteTip ? { ref: getRemoteRef(branch), tip: remoteTip } : null
+}
+
+// Check how a branch's changes reached the base, if they did: by ancestry, commit by commit
+// (git cherry equivalence) or as a single squash commit. Returns null while it still has its own changes.
+function detectLanding(baseRef, ref) {
+  if (countCommits(`${baseRef}..${ref}`) === 0) {
+    // Only a branch with commits of its own can have landed. One sitting on a commit the base was at once was
+    // just created there (or fast-forwarded into the base, and then it catches up the same way).
+    return isOnFirstParentLine(ref, baseRef) ? null : 'merged'
+  }
+  if (countUnpickedCommits(baseRef, ref) === 0) {
+    return 'patch-equivalent'
+  }
+
+  const mergeBase = getMergeBase(baseRef, ref)
+  if (mergeBase) {
+    const branchPatchId = getDiffPatchId(mergeBase, ref)
+    if (branchPatchId && getCommitPatchIds(`${mergeBase}..${baseRef}`).includes(branchPatchId)) {
+      return 'squashed'
+    }
+  }
+  return null
+}
+
+// Find the branches above the base whose changes already landed in it (`parents` maps each branch to its parent)
+function findLandedBranches(branches, parents) {
+  const base = branchRef(branches[0])
+  if (!base) {
+    return []
+  }
+
+  const landed = []
+  const refs = { [branches[0]]: base }
+  for (const branch of branches.slice(1)) {
+    const current = branchRef(branch)
+    const parent = refs[parents[branch]]
+    // A branch still sitting on its parent's tip simply has no commits yet
+    if (current && current.tip !== parent.tip) {
+      const reason = detectLanding(base.ref, current.ref)
+      if (reason) {
+        landed.push({ branch, tip: current.tip, reason })
+      }
+    }
+    refs[branch] = current || parent
+  }
+  return landed
+}
+
+// Drop landed branches from the stack. Each child of a landed branch is moved onto the nearest branch
+// below it that is still in the stack, cut at the landed branch's tip so the landed commits are left behind.
+function reparentAroundLanded(branches, parents, landed) {
+  const landedTips = Object.fromEntries(landed.map(({ branch, tip }) => [branch, tip]))
+  const remaining = branches.filter((branch) => !landedTips[branch])
+  const newParents = {}
+  const reparented = {}
+
+  remaining.slice(1).forEach((branch) => {
+    let parent = parents[branch]
+    if (landedTips[parent]) {
+      reparented[branch] = landedTips[parent]
+    }
+    while (landedTips[parent]) {
+      parent = parents[parent]
+    }
+    newParents[branch] = parent
+  })
+
+  return { remaining, parents: newParents, reparented }
+}
+
+// Report what landed and where its children are going
+function printLandedBranches(branches, landed, parents, reparented) {
+  logStep('Landed', `${landed.length} branch(es) already landed in ${branches[0]}`)
+  landed.forEach(({ branch, reason }) => {
+    logSuccess(`${branch}: ${LANDING_DESCRIPTIONS[reason]}`)
+  })
+  Object.keys(reparented).forEach((child) => {
+    logInfo(`${child} will be moved onto ${parents[child]}, dropping the commits that already landed`)
+  })
+}
+
+// Offer to remove each landed branch from its configured stack and delete it locally. Deleting is never assumed:
+// --yes keeps them.
+async function offerLandedCleanup(landed, stackBranches) {
+  const config = loadConfig()
+  const stackName = findStackName(config, stackBranches)
+  const results = []
+
+  for (const { branch, tip, reason } of landed) {
+    const question = stackName
+      ? `${branch} has landed. Remove it from stack "${stackName}" and delete it locally?`
+      : `${branch} has landed. Delete it locally?`
+    const confirmed = await askConfirm('remove-landed', question, {
+      yesAnswer: false,
+      hint: '--remove-landed=yes|no',
+    })
+    const result = { branch, reason, removedFromConfig: false, deleted: false }
+    results.push(result)
+    if (!confirmed) {
+      logInfo(`Keeping ${branch}`)
+      continue
+    }
+
+    if (stackName) {
+      result.removedFromConfig = removeBranchFromStack(stackName, branch)
+      if (result.removedFromConfig) {
+        logSuccess(`Removed ${branch} from stack "${stackName}"`)
+      }
+    }
+
+    if (branch === getCurrentBranch()) {
+      logWarning(`${branch} is checked out, so it was not deleted`)
+    } else if (getBranchTip(branch)) {
+      resetBranch(branch, null)
+      result.deleted = true
+      logSuccess(`Deleted ${branch} (restore it with: git branch ${branch} ${tip})`)
+    }
+  }
+
+  return results
+}
+
+module.exports = {
+  findLandedBranches,
+  reparentAroundLanded,
+  printLandedBranches,
+  offerLandedCleanup,
+}
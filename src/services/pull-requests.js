@@ -0,0 +1,166 @@
+const { getRemoteUrl, getRemoteBranchTip, getCommitSubjects } = require('../utils/git')
+const { logStep, logSuccess, logError, logWarning, logInfo } = require('../utils/logger')
+const { resolveSettings } = require('../utils/settings')
+const { emit } = require('../utils/events')
+const { getUpstream } = require('../utils/remotes')
+const { parseRepository, createGitHubClient } = require('../utils/github')
+
+// The navigation table is kept between these markers so it can be replaced without touching the rest of the body
+const STACK_TABLE_START = '<!-- stacked-pr-sync:stack -->'
+const STACK_TABLE_END = '<!-- /stacked-pr-sync:stack -->'
+
+// Whether and how pull requests are managed during a sync, from the resolved settings (see resolveSettings).
+// Returns null when the integration is off.
+function getPullRequestSettings(settings) {
+  const { enabled, apiUrl, tokenEnv, repository } = settings.pullRequests
+  return enabled ? { apiUrl, tokenEnv, repository } : null
+}
+
+// Where the provider's API is and how to authenticate, with options.pullRequests (an object of settings)
+// over settings.pullRequests in the config, then GITHUB_API_URL and the defaults
+function getProviderSettings(options = {}) {
+  const { apiUrl, tokenEnv, repository } = resolveSettings(options).pullRequests
+  return { apiUrl, tokenEnv, repository }
+}
+
+// The repository a remote points at, unless one is configured for the whole stack ("owner/repo")
+function getRepository(remote, settings) {
+  if (settings.repository) {
+    const [owner, repo] = settings.repository.split('/')
+    return { owner, repo }
+  }
+  return parseRepository(getRemoteUrl(remote))
+}
+
+// Title for a new pull request: the branch's first commit, or its name when it has none of its own
+function getPullRequestTitle(parent, branch) {
+  return getCommitSubjects(`${parent}..${branch}`)[0] || branch
+}
+
+// Markdown table of every pull request in the stack, top of the stack first, pointing at the current one
+function renderStackTable(entries, current) {
+  const rows = [...entries].reverse().map((entry) => {
+    const marker = entry === current ? '👉' : ''
+    return `| ${marker} | #${entry.number} | \`${entry.branch}\` → \`${entry.base}\` |`
+  })
+  return [
+    STACK_TABLE_START,
+    '**Stack** (merge from the bottom up)',
+    '',
+    '| | Pull request | Branch |',
+    '| --- | --- | --- |',
+    ...rows,
+    STACK_TABLE_END,
+  ].join('\n')
+}
+
+// Put the stack table into a pull request body, replacing the one from a previous run if there is one
+function withStackTable(body, table) {
+  const start = body.indexOf(STACK_TABLE_START)
+  const end = body.indexOf(STACK_TABLE_END)
+  if (start !== -1 && end > start) {
+    return `${body.slice(0, start)}${table}${body.slice(end + STACK_TABLE_END.length)}`
+  }
+  return body.trim() ? `${body.trimEnd()}\n\n${table}` : table
+}
+
+// Make sure one branch has an open pull request against its parent, creating or retargeting it
+async function ensurePullRequest(client, entry, { head, title }) {
+  const existing = await client.findOpenPullRequest(head)
+  if (!existing) {
+    const created = await client.createPullRequest({ head, base: entry.base, title, body: '' })
+    logSuccess(`Created #${created.number} for ${entry.branch} (base: ${entry.base})`)
+    return { pullRequest: created, action: 'created' }
+  }
+  if (existing.base.ref !== entry.base) {
+    const retargeted = await client.updatePullRequest(existing.number, { base: entry.base })
+    logSuccess(`Retargeted #${existing.number} for ${entry.branch}: ${existing.base.ref} → ${entry.base}`)
+    return { pullRequest: retargeted, action: 'retargeted' }
+  }
+  logInfo(`#${existing.number} for ${entry.branch} already targets ${entry.base}`)
+  return { pullRequest: existing, action: 'unchanged' }
+}
+
+// After a sync and push: give every branch above the base an open pull request against its parent (`parents`),
+// then add or refresh the stack navigation table in each body. A failure on one branch doesn't stop the others.
+async function syncPullRequests(branches, parents, settings) {
+  logStep('Pull requests', `Updating pull requests for ${branches.slice(1).join(', ')}...`)
+
+  const token = process.env[settings.tokenEnv]
+  if (!token) {
+    logWarning(`${settings.tokenEnv} is not set. Skipping pull requests.`)
+    return []
+  }
+
+  // A pull request lives in the repository of its base branch; its head may come from a fork
+  const clients = {}
+  const getClient = ({ owner, repo }) => {
+    const key = `${owner}/${repo}`
+    clients[key] = clients[key] || createGitHubClient({ apiUrl: settings.apiUrl, token, owner, repo })
+    return clients[key]
+  }
+
+  const entries = []
+  for (const branch of branches.slice(1)) {
+    const parent = getUpstream(parents[branch])
+    const upstream = getUpstream(branch)
+    const entry = { branch, base: parent.name, number: null, url: null, action: null, client: null, body: '' }
+    entries.push(entry)
+
+    const baseRepository = getRepository(parent.remote, settings)
+    const headRepository = getRepository(upstream.remote, settings)
+    if (!getRemoteBranchTip(branch)) {
+      Object.assign(entry, { action: 'skipped', reason: `not on ${upstream.remote} yet` })
+    } else if (!baseRepository || !headRepository) {
+      Object.assign(entry, { action: 'skipped', reason: 'repository unknown; set settings.pullRequests.repository' })
+    } else {
+      try {
+        entry.client = getClient(baseRepository)
+        const { pullRequest, action } = await ensurePullRequest(entry.client, entry, {
+          head: `${headRepository.owner}:${upstream.name}`,
+          title: getPullRequestTitle(parents[branch], branch),
+        })
+        const { number, html_url: url, body } = pullRequest
+        Object.assign(entry, { action, number, url, body: body || '' })
+      } catch (error) {
+        Object.assign(entry, { action: 'failed', reason: error.message })
+      }
+    }
+
+    if (entry.action === 'skipped') {
+      logWarning(`Skipping ${branch}: ${entry.reason}`)
+    } else if (entry.action === 'failed') {
+      logError(`Pull request for ${branch} failed: ${entry.reason}`)
+    }
+  }
+
+  const listed = entries.filter((entry) => entry.number !== null)
+  for (const entry of listed) {
+    const body = withStackTable(entry.body, renderStackTable(listed, entry))
+    if (body === entry.body) {
+      continue
+    }
+    try {
+      await entry.client.updatePullRequest(entry.number, { body })
+      if (entry.action === 'unchanged') {
+        entry.action = 'updated'
+      }
+    } catch (error) {
+      Object.assign(entry, { action: 'failed', reason: error.message })
+      logError(`Could not update the stack table on #${entry.number}: ${error.message}`)
+    }
+  }
+
+  return entries.map(({ branch, base, number, url, action, reason }) => {
+    const result = { branch, base, number, url, action, reason }
+    emit('pull-request', result)
+    return result
+  })
+}
+
+module.exports = {
+  getPullRequestSettings,
+  getProviderSettings,
+  getRepository,
+  syncPullRequests,
+}
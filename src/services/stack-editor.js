@@ -0,0 +1,214 @@
+const { validateBranchName, checkGitRepo, branchExists } = require('../utils/git')
+const { logSuccess, logInfo } = require('../utils/logger')
+const { editConfig } = require('../utils/config')
+const { withLockSync } = require('../utils/lock')
+const { StackedPRSyncError, NotAGitRepositoryError, BranchNotFoundError } = require('../utils/errors')
+const { resolveStackTree, flattenStackTree, getDescendants, formatStack } = require('../utils/stack-tree')
+
+// Check that a branch name is valid and that the branch exists locally or on its remote
+function checkBranch(branch) {
+  if (!checkGitRepo()) {
+    throw new NotAGitRepositoryError()
+  }
+  validateBranchName(branch)
+  if (!branchExists(branch)) {
+    throw new BranchNotFoundError(branch)
+  }
+}
+
+// Find a stack in the config by name, or the default stack when no name is given
+function findStack(config, stackName) {
+  const name = stackName || config.defaultStack
+  if (!name) {
+    throw new StackedPRSyncError('No stack given and no default stack set. Pass --stack <name>.', 'STACK_NOT_FOUND')
+  }
+  if (!config.stacks || !config.stacks[name]) {
+    const message = `No stack named "${name}". See the stacks with: npx stacked-pr-sync stack list`
+    throw new StackedPRSyncError(message, 'STACK_NOT_FOUND')
+  }
+  return { name, stack: config.stacks[name] }
+}
+
+// Make sure a branch is part of the stack and isn't its base
+function checkStackBranch(name, tree, branch) {
+  if (!tree.branches.includes(branch)) {
+    throw new StackedPRSyncError(`${branch} is not in stack "${name}"`, 'INVALID_STACK')
+  }
+  if (branch === tree.branches[0]) {
+    throw new StackedPRSyncError(`${branch} is the base of stack "${name}"`, 'INVALID_STACK')
+  }
+}
+
+// Take a branch out of a tree; the branches built on it move down onto its parent
+function detachBranch(tree, branch) {
+  const parents = { ...tree.parents }
+  delete parents[branch]
+  Object.keys(parents).forEach((child) => {
+    if (parents[child] === branch) {
+      parents[child] = tree.parents[branch]
+    }
+  })
+  return { branches: tree.branches.filter((name) => name !== branch), parents }
+}
+
+// Put a branch into a tree on top of `anchor`. With `between`, the branch listed right after the anchor
+// (the one continuing its chain) moves up onto the new branch, so the new branch goes in between;
+// otherwise it becomes the anchor's last child, listed after everything already built on the anchor.
+function attachBranch(tree, branch, anchor, between) {
+  const above = between ? [] : getDescendants(tree.branches, tree.parents, anchor)
+  const index = tree.branches.indexOf(above.length > 0 ? above[above.length - 1] : anchor) + 1
+  const next = tree.branches[index]
+  const parents = { ...tree.parents, [branch]: anchor }
+  if (between && next && tree.parents[next] === anchor) {
+    parents[next] = branch
+  }
+  return { branches: [...tree.branches.slice(0, index), branch, ...tree.branches.slice(index)], parents }
+}
+
+// Store a tree in a stack's config entry, listing parents only where the list order doesn't say them
+function writeTree(stack, tree) {
+  const { branches, parents } = flattenStackTree(tree.branches, tree.parents)
+  stack.branches = branches
+  if (Object.keys(parents).length > 0) {
+    stack.parents = parents
+  } else {
+    delete stack.parents
+  }
+}
+
+// Show a stack's branches after an edit
+function printStack(stack) {
+  const tree = resolveStackTree(stack.branches, stack.parents)
+  logInfo(`Branches: ${formatStack(tree.branches, tree.parents)}`)
+}
+
+// Create a stack from a base branch and the branches on top of it, in order
+function createStack(name, branches, { description } = {}) {
+  if (branches.length < 2) {
+    throw new StackedPRSyncError('A stack needs at least two branches (a base and one branch on top).', 'INVALID_STACK')
+  }
+  const duplicate = branches.find((branch, index) => branches.indexOf(branch) !== index)
+  if (duplicate) {
+    throw new StackedPRSyncError(`${duplicate} is listed more than once`, 'INVALID_STACK')
+  }
+  branches.forEach(checkBranch)
+
+  return editConfig((config) => {
+    if (config.stacks && config.stacks[name]) {
+      throw new StackedPRSyncError(`Stack "${name}" already exists`, 'DUPLICATE_STACK')
+    }
+    const stack = description ? { description, branches } : { branches }
+    config.stacks = { ...config.stacks, [name]: stack }
+    logSuccess(`Created stack "${name}": ${branches.join(' → ')}`)
+    return { name, stack }
+  })
+}
+
+// Add a branch to a stack: on top of the last branch, in between `after` and the branch above it,
+// or as another child of `parent`
+function addBranch(stackName, branch, { after, parent } = {}) {
+  checkBranch(branch)
+
+  return editConfig((config) => {
+    const { name, stack } = findStack(config, stackName)
+    const tree = resolveStackTree(stack.branches, stack.parents)
+    if (tree.branches.includes(branch)) {
+      throw new StackedPRSyncError(`${branch} is already in stack "${name}"`, 'INVALID_STACK')
+    }
+    const anchor = after || parent || stack.branches[stack.branches.length - 1]
+    if (!tree.branches.includes(anchor)) {
+      throw new StackedPRSyncError(`${anchor} is not in stack "${name}"`, 'INVALID_STACK')
+    }
+
+    writeTree(stack, attachBranch(tree, branch, anchor, Boolean(after)))
+    logSuccess(`Added ${branch} to stack "${name}" on top of ${anchor}`)
+    printStack(stack)
+    return { name, stack }
+  })
+}
+
+// Remove a branch from a stack; the branches built on it move down onto its parent
+function removeBranch(stackName, branch) {
+  return editConfig((config) => {
+    const { name, stack } = findStack(config, stackName)
+    const tree = resolveStackTree(stack.branches, stack.parents)
+    checkStackBranch(name, tree, branch)
+    if (tree.branches.length <= 2) {
+      throw new StackedPRSyncError(`Stack "${name}" would be left with only ${tree.branches[0]}`, 'INVALID_STACK')
+    }
+
+    writeTree(stack, detachBranch(tree, branch))
+    logSuccess(`Removed ${branch} from stack "${name}"`)
+    printStack(stack)
+    return { name, stack }
+  })
+}
+
+// Move a branch within a stack. With `after` it moves on its own, in between `after` and the branch above it
+// (the branches built on it move down onto its old parent). With `parent`, it moves onto `parent` together
+// with everything built on it.
+function moveBranch(stackName, branch, { after, parent } = {}) {
+  return editConfig((config) => {
+    const { name, stack } = findStack(config, stackName)
+    const tree = resolveStackTree(stack.branches, stack.parents)
+    checkStackBranch(name, tree, branch)
+    const anchor = after || parent
+    if (!tree.branches.includes(anchor)) {
+      throw new StackedPRSyncError(`${anchor} is not in stack "${name}"`, 'INVALID_STACK')
+    }
+    if (anchor === branch) {
+      throw new StackedPRSyncError(`${branch} cannot be moved onto itself`, 'INVALID_STACK')
+    }
+
+    if (after) {
+      writeTree(stack, attachBranch(detachBranch(tree, branch), branch, after, true))
+    } else {
+      if (getDescendants(tree.branches, tree.parents, branch).includes(parent)) {
+        const message = `${parent} is built on ${branch}, so ${branch} cannot move onto it`
+        throw new StackedPRSyncError(message, 'INVALID_STACK')
+      }
+      writeTree(stack, { branches: tree.branches, parents: { ...tree.parents, [branch]: parent } })
+    }
+    logSuccess(`Moved ${branch} onto ${anchor} in stack "${name}"`)
+    printStack(stack)
+    return { name, stack }
+  })
+}
+
+// Rename a stack, keeping its place in the file and the default pointing at it
+function renameStack(oldName, newName) {
+  return editConfig((config) => {
+    const { stack } = findStack(config, oldName)
+    if (config.stacks[newName]) {
+      throw new StackedPRSyncError(`Stack "${newName}" already exists`, 'DUPLICATE_STACK')
+    }
+    config.stacks = Object.fromEntries(
+      Object.entries(config.stacks).map(([name, entry]) => [name === oldName ? newName : name, entry])
+    )
+    if (config.defaultStack === oldName) {
+      config.defaultStack = newName
+    }
+    logSuccess(`Renamed stack "${oldName}" to "${newName}"`)
+    return { name: newName, stack }
+  })
+}
+
+// Make a stack the one used when no stack or branches are given
+function setDefaultStack(stackName) {
+  return editConfig((config) => {
+    const { name, stack } = findStack(config, stackName)
+    config.defaultStack = name
+    logSuccess(`Default stack is now "${name}"`)
+    return { name, stack }
+  })
+}
+
+// Config edits hold the repository lock, so they can't race a sync that drops landed branches from a stack
+module.exports = {
+  createStack: withLockSync('stack create', createStack),
+  addBranch: withLockSync('stack add', addBranch),
+  removeBranch: withLockSync('stack remove', removeBranch),
+  moveBranch: withLockSync('stack move', moveBranch),
+  renameStack: withLockSync('stack rename', renameStack),
+  setDefaultStack: withLockSync('stack set-default', setDefaultStack),
+}
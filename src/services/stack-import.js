@@ -0,0 +1,146 @@
+const { validateBranchName, checkGitRepo } = require('../utils/git')
+const { log, logStep, logSuccess, logWarning, logInfo } = require('../utils/logger')
+const { loadConfig, saveStack } = require('../utils/config')
+const { configurePrompts, askConfirm } = require('../utils/prompt')
+const { StackedPRSyncError, NotAGitRepositoryError, PullRequestError, AbortedError } = require('../utils/errors')
+const { createGitHubClient } = require('../utils/github')
+const { getProviderSettings, getRepository } = require('./pull-requests')
+const { withLock } = require('../utils/lock')
+
+// More pull requests than any real stack has; a longer chain means the bases loop somewhere
+const MAX_STACK_DEPTH = 50
+
+// Follow open pull requests from a head branch down through their bases, returning the chain base first.
+// `owner` is whose repository the head branches are in (a fork's owner when they are pushed to a fork).
+async function followPullRequestBases(client, owner, headBranch) {
+  const defaultBranch = await client.getDefaultBranch()
+  if (headBranch === defaultBranch) {
+    throw new StackedPRSyncError(`${headBranch} is the default branch; pass the top branch of a stack`, 'INVALID_STACK')
+  }
+  const branches = [headBranch]
+  const pullRequests = []
+
+  let branch = headBranch
+  while (branch !== defaultBranch) {
+    const pullRequest = await client.findOpenPullRequest(`${owner}:${branch}`)
+    if (!pullRequest) {
+      if (branch === headBranch) {
+        throw new PullRequestError(`No open pull request found for ${headBranch}`, 404)
+      }
+      // A base without a pull request of its own (e.g. a release branch) is as far down as the stack goes
+      logWarning(`${branch} has no open pull request, so the stack starts there instead of ${defaultBranch}`)
+      break
+    }
+
+    const base = pullRequest.base.ref
+    if (branches.includes(base) || branches.length > MAX_STACK_DEPTH) {
+      throw new StackedPRSyncError(`Pull request bases loop back to ${base}`, 'INVALID_STACK')
+    }
+    logInfo(`#${pullRequest.number}: ${branch} → ${base}`)
+    branches.unshift(base)
+    pullRequests.unshift(pullRequest.number)
+    branch = base
+  }
+
+  return { branches, pullRequests }
+}
+
+// Line diff of two texts (longest common subsequence), as " ", "-" and "+" prefixed lines
+function diffLines(before, after) {
+  const a = before.split('\n')
+  const b = after.split('\n')
+  const lengths = a.map(() => new Array(b.length + 1).fill(0))
+  lengths.push(new Array(b.length + 1).fill(0))
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+    }
+  }
+
+  const lines = []
+  let i = 0
+  let j = 0
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push(`  ${a[i++]}`)
+      j++
+    } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      lines.push(`- ${a[i++]}`)
+    } else {
+      lines.push(`+ ${b[j++]}`)
+    }
+  }
+  return lines
+}
+
+// Rebuild a stack from the open pull requests below a head branch and save it in the config file.
+// An existing stack with the same name is only replaced after showing the difference and confirming.
+async function importStack(headBranch, options = {}) {
+  configurePrompts({ yes: Boolean(options.yes), interactive: !options.nonInteractive })
+
+  if (!checkGitRepo()) {
+    throw new NotAGitRepositoryError()
+  }
+  validateBranchName(headBranch)
+  const stackName = options.name || headBranch
+
+  const settings = getProviderSettings(options)
+  const token = process.env[settings.tokenEnv]
+  if (!token) {
+    throw new PullRequestError(`${settings.tokenEnv} is not set. It needs a token that can read pull requests.`, null)
+  }
+  // The pull requests live in the base remote's repository, and their heads in the stack remote's (a fork)
+  const headRemote = options.remote || 'origin'
+  const repository = getRepository(options.baseRemote || headRemote, settings)
+  const headRepository = getRepository(headRemote, settings)
+  if (!repository || !headRepository) {
+    const message = 'Could not tell the repository from the remote URL. Set settings.pullRequests.repository.'
+    throw new PullRequestError(message, null)
+  }
+
+  logStep('Import', `Following pull requests from ${headBranch} in ${repository.owner}/${repository.repo}...`)
+  const client = createGitHubClient({ apiUrl: settings.apiUrl, token, ...repository })
+  const { branches, pullRequests } = await followPullRequestBases(client, headRepository.owner, headBranch)
+  branches.forEach(validateBranchName)
+
+  const stack = {
+    description: `Imported from pull requests ${pullRequests.map((number) => `#${number}`).join(' → ')}`,
+    branches,
+  }
+  log('')
+  logInfo(`Stack "${stackName}": ${branches.join(' → ')}`)
+
+  const config = loadConfig()
+  const existing = config && config.stacks && config.stacks[stackName]
+  const result = { name: stackName, stack, pullRequests, status: 'created' }
+  if (existing) {
+    // Keep the stack's other settings (strategy, remotes) and only refresh what the pull requests say.
+    // The pull requests describe a single chain, so any parents of a forked stack go.
+    const updated = { ...existing, ...stack }
+    delete updated.parents
+    const before = JSON.stringify(existing, null, 2)
+    const after = JSON.stringify(updated, null, 2)
+    if (before === after) {
+      logSuccess(`Stack "${stackName}" is already up to date`)
+      return { ...result, status: 'unchanged' }
+    }
+
+    logWarning(`Stack "${stackName}" already exists. Changes:`)
+    const colors = { '+': 'green', '-': 'red', ' ': 'reset' }
+    diffLines(before, after).forEach((line) => log(line, colors[line[0]]))
+    const replace = await askConfirm('replace-stack', `Replace stack "${stackName}"?`, { hint: '--yes' })
+    if (!replace) {
+      throw new AbortedError(`Kept the existing stack "${stackName}".`)
+    }
+    result.stack = updated
+    result.status = 'updated'
+  }
+
+  saveStack(stackName, result.stack)
+  logSuccess(`Saved stack "${stackName}". Sync it with: npx stacked-pr-sync ${stackName}`)
+  return result
+}
+
+module.exports = {
+  importStack: withLock('import', importStack),
+}
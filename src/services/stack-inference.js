@@ -0,0 +1,117 @@
+const {
+  checkGitRepo,
+  getCurrentBranch,
+  getBranchTip,
+  listLocalBranches,
+  getRemoteHead,
+  getMergeBase,
+  isAncestor,
+  countCommits,
+} = require('../utils/git')
+const { logStep, logInfo, logWarning } = require('../utils/logger')
+const { configurePrompts, askChoice, askConfirm } = require('../utils/prompt')
+const { StackedPRSyncError, NotAGitRepositoryError, AbortedError } = require('../utils/errors')
+
+// The branch stacks are built on: the base remote's default branch, else a local main or master
+function findTrunk(options) {
+  const remoteHead = getRemoteHead(options.baseRemote || options.remote || 'origin')
+  const trunk = [remoteHead, 'main', 'master'].find((branch) => branch && getBranchTip(branch))
+  if (!trunk) {
+    throw new StackedPRSyncError('Could not find the trunk branch (main or master) under the stack.', 'INVALID_STACK')
+  }
+  return trunk
+}
+
+// Local branches that could be the parent of `branch`, closest first: the fewer commits between `branch` and
+// where it forked from a candidate, the closer. That still finds a parent that moved on since `branch` forked;
+// between equally close ones, a branch whose tip is still in `branch`'s history comes first.
+function findParentCandidates(branch, exclude) {
+  const tip = getBranchTip(branch)
+  const candidates = []
+
+  for (const candidate of listLocalBranches()) {
+    if (exclude.includes(candidate)) {
+      continue
+    }
+    const mergeBase = getMergeBase(branch, candidate)
+    // Branches without shared history, and branches built on top of this one, aren't parents
+    if (!mergeBase || mergeBase === tip) {
+      continue
+    }
+    candidates.push({
+      branch: candidate,
+      contained: isAncestor(candidate, branch),
+      distance: countCommits(`${mergeBase}..${branch}`),
+    })
+  }
+
+  return candidates.sort((a, b) => a.distance - b.distance || Number(b.contained) - Number(a.contained))
+}
+
+// Pick the parent of `branch`: the trunk when it is as close as anything else, the single closest branch
+// otherwise, and the user's choice when several branches are equally close
+async function chooseParent(branch, trunk, exclude) {
+  const candidates = findParentCandidates(branch, exclude)
+  if (candidates.length === 0) {
+    throw new StackedPRSyncError(`${branch} shares no history with ${trunk}.`, 'INVALID_STACK')
+  }
+
+  const best = candidates[0]
+  const closest = candidates.filter(
+    (candidate) => candidate.distance === best.distance && candidate.contained === best.contained
+  )
+  if (closest.some((candidate) => candidate.branch === trunk)) {
+    return trunk
+  }
+  if (closest.length === 1) {
+    return best.branch
+  }
+
+  logWarning(`${branch} could sit on any of: ${closest.map((candidate) => candidate.branch).join(', ')}`)
+  const parent = await askChoice(
+    'infer-parent',
+    `Which branch is ${branch} built on?`,
+    closest.map((candidate) => ({ label: candidate.branch, value: candidate.branch })),
+    { hint: 'an explicit branch list instead of --infer' }
+  )
+  if (!parent) {
+    throw new AbortedError(`No parent chosen for ${branch}.`)
+  }
+  return parent
+}
+
+// Work out the stack the current branch belongs to by walking its ancestry down to the trunk.
+// With `confirm`, the chain is shown and only returned once the user agrees to sync it.
+async function inferStack(options = {}, { confirm = true } = {}) {
+  configurePrompts({ yes: Boolean(options.yes), interactive: !options.nonInteractive })
+
+  if (!checkGitRepo()) {
+    throw new NotAGitRepositoryError()
+  }
+  const current = getCurrentBranch()
+  if (!current) {
+    throw new StackedPRSyncError('HEAD is detached; check out the top branch of the stack.', 'INVALID_STACK')
+  }
+  const trunk = findTrunk(options)
+  if (current === trunk) {
+    throw new StackedPRSyncError(`You are on ${trunk}; check out the top branch of the stack.`, 'INVALID_STACK')
+  }
+
+  logStep('Inferring', `Walking the history of ${current} down to ${trunk}...`)
+  const branches = [current]
+  while (branches[0] !== trunk) {
+    const parent = await chooseParent(branches[0], trunk, branches)
+    logInfo(`${branches[0]} is built on ${parent}`)
+    branches.unshift(parent)
+  }
+
+  logInfo(`📋 Inferred stack: ${branches.join(' → ')}`)
+  if (confirm && !(await askConfirm('infer', 'Sync this stack?', { hint: '--yes' }))) {
+    throw new AbortedError('Inferred stack not confirmed. List the branches yourself to sync a different one.')
+  }
+  return branches
+}
+
+module.exports = {
+  inferStack,
+}
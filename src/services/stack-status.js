@@ -0,0 +1,135 @@
+const {
+  validateBranchName,
+  validateRemoteName,
+  checkGitRepo,
+  getBranchTip,
+  getRemoteBranchTip,
+  countCommits,
+} = require('../utils/git')
+const { log, logStep, logSuccess, logError, logWarning } = require('../utils/logger')
+const { NotAGitRepositoryError } = require('../utils/errors')
+const { configureRemotes, getRemoteRef } = require('../utils/remotes')
+const { resolveStackTree, formatStack } = require('../utils/stack-tree')
+
+// States that mean running the sync would change something (or can't run at all)
+const NEEDS_SYNC_STATES = ['needs-sync', 'diverged', 'missing']
+
+// Work out a branch's state from its numbers, worst first
+function branchState({ exists, remote, behindParent }) {
+  if (!exists) {
+    return 'missing'
+  }
+  if (remote && remote.ahead > 0 && remote.behind > 0) {
+    return 'diverged'
+  }
+  if (behindParent > 0 || (remote && remote.behind > 0)) {
+    return 'needs-sync'
+  }
+  if (!remote || remote.ahead > 0) {
+    return 'needs-push'
+  }
+  return 'clean'
+}
+
+// Read-only health check of a stack: how each branch compares with its remote and with its parent
+function getStackStatus(branches, options = {}) {
+  if (!checkGitRepo()) {
+    throw new NotAGitRepositoryError()
+  }
+  const remotes = { remote: options.remote, baseRemote: options.baseRemote }
+  branches.forEach(validateBranchName)
+  Object.values(remotes).filter(Boolean).forEach(validateRemoteName)
+  configureRemotes(branches, remotes)
+  const tree = resolveStackTree(branches, options.parents)
+
+  const refs = {}
+  const report = tree.branches.map((branch) => {
+    const localTip = getBranchTip(branch)
+    const remoteTip = getRemoteBranchTip(branch)
+    // A branch that only exists on its remote is compared through its remote-tracking ref
+    const remoteRef = getRemoteRef(branch)
+    const ref = localTip ? branch : remoteTip && remoteRef
+    const parent = tree.parents[branch] || null
+    const parentRef = parent && refs[parent]
+
+    const status = {
+      branch,
+      parent,
+      exists: Boolean(ref),
+      remoteRef,
+      remote: null,
+      behindParent: null,
+      unique: null,
+    }
+
+    if (localTip && remoteTip) {
+      status.remote = {
+        ahead: countCommits(`${remoteRef}..${branch}`),
+        behind: countCommits(`${branch}..${remoteRef}`),
+      }
+    } else if (remoteTip) {
+      status.remote = { ahead: 0, behind: 0 }
+    }
+
+    if (ref && parentRef) {
+      status.behindParent = countCommits(`${ref}..${parentRef}`)
+      // Merges the sync made from the parent are not the branch's own work
+      status.unique = countCommits('--no-merges', `${parentRef}..${ref}`)
+    }
+
+    status.state = branchState(status)
+    refs[branch] = ref
+    return status
+  })
+
+  return {
+    branches: report,
+    needsSync: report.some((status) => NEEDS_SYNC_STATES.includes(status.state)),
+  }
+}
+
+// Describe one branch's numbers for the status table
+function describeBranchStatus(status) {
+  if (!status.exists) {
+    return `not found locally or on ${status.remoteRef}`
+  }
+
+  const remote = status.remote ? `↑${status.remote.ahead} ↓${status.remote.behind}` : 'not pushed'
+  const parts = [`${status.remoteRef}: ${remote}`]
+  if (status.behindParent !== null) {
+    parts.push(`behind ${status.parent}: ${status.behindParent}`)
+    parts.push(`unique: ${status.unique}`)
+  }
+  return parts.join('   ')
+}
+
+// Print the status report as a table, one line per branch
+function printStackStatus(report) {
+  const parents = Object.fromEntries(report.branches.map((status) => [status.branch, status.parent]))
+  logStep('Status', formatStack(report.branches.map((status) => status.branch), parents))
+  log('')
+
+  const branchWidth = Math.max(...report.branches.map((status) => status.branch.length))
+  report.branches.forEach((status) => {
+    const line = `${status.branch.padEnd(branchWidth)}  ${status.state.padEnd(10)}  ${describeBranchStatus(status)}`
+    if (status.state === 'clean') {
+      logSuccess(line)
+    } else if (status.state === 'needs-push' || status.state === 'needs-sync') {
+      logWarning(line)
+    } else {
+      logError(line)
+    }
+  })
+
+  log('')
+  if (report.needsSync) {
+    logWarning('Stack needs a sync. Run stacked-pr-sync with the same stack to update it.')
+  } else {
+    logSuccess('Stack is up to date with every parent.')
+  }
+}
+
+module.exports = {
+  getStackStatus,
+  printStackStatus,
+}
@@ -0,0 +1,109 @@
+const crypto = require('crypto')
+const { getStashTip, findStashIndex } = require('../utils/git')
+const { runGit, readGit } = require('../utils/git-runner')
+const { log, logStep, logInfo, logSuccess, logWarning } = require('../utils/logger')
+const { loadSyncState } = require('../utils/state')
+const { DirtyWorktreeError } = require('../utils/errors')
+
+// Every stash a sync makes carries this marker and a unique id in its message, so it can be told apart from
+// the user's own stashes. Versions before the marker used the legacy message.
+const STASH_MARKER = 'stacked-pr-sync'
+const LEGACY_STASH_MESSAGE = 'Auto-stash before PR sync'
+
+// Short id that is unique enough to tell one sync's stash from another's, e.g. lq2k8f3a-9c01e2
+function newStashId() {
+  return `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`
+}
+
+// Stash uncommitted changes (and untracked files with `includeUntracked`) under a unique id.
+// Returns { id, sha } for the new stash entry, or null when git had nothing to stash.
+function stashChanges({ includeUntracked = false } = {}) {
+  const id = newStashId()
+  const previousTip = getStashTip()
+  try {
+    const untracked = includeUntracked ? ['--include-untracked'] : []
+    runGit(['stash', 'push', ...untracked, '-m', `${STASH_MARKER} ${id}: uncommitted changes`], { show: true })
+  } catch (error) {
+    throw new DirtyWorktreeError(
+      `Failed to stash changes (${error.reason || error.message}). Please commit or stash manually and try again.`
+    )
+  }
+
+  // Untracked files alone make no stash entry unless they are included
+  const sha = getStashTip()
+  return sha && sha !== previousTip ? { id, sha } : null
+}
+
+// Restore exactly the stash entry a sync created, wherever it now sits in the stash list.
+// When that fails, the stash is left alone and the command that restores it is printed.
+function restoreStash(stashSha) {
+  logInfo('Restoring stashed changes...')
+
+  const stashIndex = findStashIndex(stashSha)
+  if (stashIndex === -1) {
+    logWarning(`Could not find the sync stash (${stashSha}) in the stash list`)
+    logInfo(`It may already have been restored. If your changes are not back, run: git stash apply ${stashSha}`)
+    return false
+  }
+
+  const ref = `stash@{${stashIndex}}`
+  const { status } = runGit(['stash', 'pop', ref], { show: true, allowFailure: true })
+  if (status === 0) {
+    logSuccess('Stashed changes restored successfully')
+    return true
+  }
+  logWarning(`Failed to restore stashed changes automatically; they are still in ${ref} (${stashSha})`)
+  logInfo(`Once your working tree is clean, restore them with: git stash pop ${ref}`)
+  logInfo(`If git left conflict markers while applying it, resolve them and then run: git stash drop ${ref}`)
+  return false
+}
+
+// Stash entries made by a sync, newest first: { ref, sha, id, branch, message, createdAt }.
+// The id is null for stashes made before stashes had one.
+function listSyncStashes() {
+  const output = readGit(['stash', 'list', '--format=%H%x09%cI%x09%gs'])
+  return output
+    .split('\n')
+    .filter(Boolean)
+    .map((line, index) => {
+      const [sha, createdAt, subject] = line.split('\t')
+      // git records the branch the stash was made on: "On feature1: <message>"
+      const match = subject.match(/^(?:On|WIP on) (.*?): (.*)$/)
+      const message = match ? match[2] : subject
+      const marked = message.match(new RegExp(`^${STASH_MARKER} (\\S+):`))
+      if (!marked && !message.startsWith(LEGACY_STASH_MESSAGE)) {
+        return null
+      }
+      const branch = match && match[1] !== '(no branch)' ? match[1] : null
+      return { ref: `stash@{${index}}`, sha, id: marked ? marked[1] : null, branch, message, createdAt }
+    })
+    .filter(Boolean)
+}
+
+// Sync stashes that nothing will restore: every one except the stash of a sync paused on a conflict
+function listOrphanedStashes() {
+  const state = loadSyncState()
+  const pausedStash = state && state.stashSha
+  return listSyncStashes().filter((stash) => stash.sha !== pausedStash)
+}
+
+// Print orphaned sync stashes with the commands that restore them
+function printOrphanedStashes(stashes) {
+  const summary = stashes.length > 0 ? `${stashes.length} sync stash(es) were never restored` : 'No orphaned sync stashes'
+  logStep('Stashes', summary)
+  stashes.forEach((stash) => {
+    log('')
+    logWarning(`${stash.ref}  ${stash.id || '(no id)'}  ${stash.createdAt}  (made on ${stash.branch || 'detached HEAD'})`)
+    const checkout = stash.branch ? `git checkout ${stash.branch} && ` : ''
+    logInfo(`   Restore: ${checkout}git stash pop ${stash.ref}`)
+    logInfo(`   Inspect: git stash show -p ${stash.ref}   Discard: git stash drop ${stash.ref}`)
+  })
+}
+
+module.exports = {
+  stashChanges,
+  restoreStash,
+  listSyncStashes,
+  listOrphanedStashes,
+  printOrphanedStashes,
+}
@@ -1,5 +1,6 @@
-const { execSync } = require('child_process')
 const {
+  validateBranchName,
+  validateRemoteName,
   checkGitRepo,
   getCurrentBranch,
   isWorkingDirectoryClean,
@@ -7,19 +8,77 @@ const {
   isBranchInSync,
   switchToBranch,
   mergeFromBranch,
+  rebaseOntoBranch,
+  isRebaseInProgress,
+  isMergeInProgress,
+  isAncestor,
+  getCommitSha,
+  getBranchTip,
+  getRemoteBranchTip,
+  pushToRemote,
+  branchExists,
+  resetBranch,
+  findStashIndex,
   hasConflicts,
   getBranchStatus,
   getSyncDetails,
-  checkOriginExists,
+  checkRemoteExists,
+  getCheckedOutBranches,
 } = require('../utils/git')
-const { logStep, logSuccess, logError, logWarning, logInfo, logCommand } = require('../utils/logger')
-const { loadConfig } = require('../utils/config')
+const {
+  log,
+  logStep,
+  logSuccess,
+  logError,
+  logWarning,
+  logInfo,
+} = require('../utils/logger')
+const { runGit } = require('../utils/git-runner')
+const { resolveSettings } = require('../utils/settings')
+const { saveSyncState, loadSyncState, clearSyncState } = require('../utils/state')
+const { withLock } = require('../utils/lock')
+const { getInterruption, throwIfInterrupted, setInterruptCleanup } = require('../utils/interrupt')
+const { stashChanges, restoreStash } = require('./stashes')
+const {
+  createSyncWorktree,
+  resumeSyncWorktree,
+  removeSyncWorktree,
+  fastForwardCheckedOut,
+  resetCheckedOut,
+} = require('../utils/worktree')
+const { configurePrompts, askChoice, askConfirm } = require('../utils/prompt')
+const {
+  StackedPRSyncError,
+  NotAGitRepositoryError,
+  DirtyWorktreeError,
+  BranchNotFoundError,
+  ConflictError,
+  UpdateFailedError,
+  SyncStateError,
+  AbortedError,
+  InterruptedError,
+  VerifyError,
+  HookVetoError,
+} = require('../utils/errors')
+const { setEventEmitter, emit } = require('../utils/events')
+const { configureRemotes, getDefaultRemote, getUpstream, getRemoteRef } = require('../utils/remotes')
+const { resolveStackTree, getDescendants, formatStack } = require('../utils/stack-tree')
 const { checkAllPotentialConflicts, handlePreDetectedConflicts } = require('./conflict-detector')
+const {
+  findLandedBranches,
+  reparentAroundLanded,
+  printLandedBranches,
+  offerLandedCleanup,
+} = require('./landed-detector')
+const { createBackup, getBackup, discardBackup } = require('./backups')
+const { getPullRequestSettings, syncPullRequests } = require('./pull-requests')
+const { verifyBranch } = require('./verification')
+const { configureHooks, runHooks } = require('./hooks')
 
 // Check all branches and show status report
 function checkBranchStatuses(branches) {
   logStep('Checking', `Checking branches: ${branches.join(', ')}`)
-  console.log('')
+  log('')
 
   const branchStatuses = []
   const outOfSyncBranches = []
@@ -38,7 +97,7 @@ function checkBranchStatuses(branches) {
 
     if (status.syncStatus === 'in-sync') {
       statusIcon = '✅'
-      statusText = 'In sync with origin'
+      statusText = `In sync with ${getRemoteRef(branch)}`
     } else if (status.syncStatus === 'out-of-sync') {
       statusIcon = '❌'
       const details = getSyncDetails(branch)
@@ -60,13 +119,14 @@ function checkBranchStatuses(branches) {
     }
 
     logInfo(`${statusIcon} ${branch}: ${statusText}`)
+    emit('branch:status', { branch, syncStatus: status.syncStatus })
   }
 
-  console.log('')
+  log('')
   return { branchStatuses, outOfSyncBranches }
 }
 
-// Get list of branches that are out of sync with origin
+// Get list of branches that are out of sync with their remote
 function getOutOfSyncBranches(branches) {
   const outOfSyncBranches = []
 
@@ -79,88 +139,89 @@ function getOutOfSyncBranches(branches) {
   return outOfSyncBranches
 }
 
-// Handle out of sync branches with user options
-async function handleOutOfSyncBranches(outOfSyncBranches) {
-  logWarning(`Found ${outOfSyncBranches.length} branch(es) not in sync with origin:`)
+// Handle out of sync branches with user options (`worktree` when the sync runs in its own worktree)
+async function handleOutOfSyncBranches(outOfSyncBranches, worktree = null) {
+  logWarning(`Found ${outOfSyncBranches.length} branch(es) not in sync with their remote:`)
   outOfSyncBranches.forEach((branch) => {
     logWarning(`  - ${branch}`)
   })
 
   logInfo('Please choose how to handle out-of-sync branches:')
 
-  const readline = require('readline')
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-  })
+  const choice = await askChoice(
+    'origin-sync',
+    'How should out-of-sync branches be handled?',
+    [
+      { value: 'auto', label: 'Sync all branches automatically' },
+      { value: 'one-by-one', label: 'Sync branches one by one' },
+      { value: 'skip', label: 'Continue without syncing' },
+      { value: 'abort', label: 'Abort' },
+    ],
+    { yesAnswer: 'auto', hint: '--origin-sync=auto|skip|abort' }
+  )
 
-  return new Promise((resolve) => {
-    rl.question(
-      '\nOptions:\n1. Sync all branches automatically\n2. Sync branches one by one\n3. Continue without syncing\n4. Abort\n\nEnter your choice (1-4): ',
-      (answer) => {
-        rl.close()
-
-        switch (answer.trim()) {
-          case '1':
-            logInfo('Auto-syncing all branches with origin...')
-            syncAllBranches(outOfSyncBranches)
-            resolve()
-            break
-          case '2':
-            logInfo('Syncing branches one by one...')
-            syncBranchesOneByOne(outOfSyncBranches)
-            resolve()
-            break
-          case '3':
-            logWarning('Continuing without syncing branches...')
-            logInfo('This might cause issues if branches are out of sync.')
-            resolve()
-            break
-          case '4':
-            logInfo('Operation aborted by user.')
-            process.exit(1)
-            break
-          default:
-            logError('Invalid choice. Aborting...')
-            process.exit(1)
-        }
-      }
-    )
-  })
+  emit('origin-sync', { branches: outOfSyncBranches, action: choice })
+
+  switch (choice) {
+    case 'auto':
+      logInfo('Auto-syncing all branches with their remotes...')
+      syncAllBranches(outOfSyncBranches, worktree)
+      break
+    case 'one-by-one':
+      logInfo('Syncing branches one by one...')
+      await syncBranchesOneByOne(outOfSyncBranches, worktree)
+      break
+    case 'skip':
+      logWarning('Continuing without syncing branches...')
+      logInfo('This might cause issues if branches are out of sync.')
+      break
+    case 'abort':
+      throw new AbortedError()
+    default:
+      throw new AbortedError('Invalid choice. Aborting...')
+  }
+}
+
+// Pull a branch from its upstream
+function pullBranch(branch, worktree) {
+  const detached = Boolean(worktree && worktree.checkedOut[branch])
+  runGit(['checkout', ...(detached ? ['--detach'] : []), branch], { show: true })
+  const before = getCommitSha('HEAD')
+  const { remote, name } = getUpstream(branch)
+  runGit(['pull', remote, name], { show: true })
+
+  const blocked = applyDetachedUpdate(branch, before, worktree)
+  if (blocked) {
+    throw new Error(blocked)
+  }
 }
 
 // Sync all branches automatically
-function syncAllBranches(branches) {
-  logStep('Syncing', `Syncing all branches with origin...`)
+function syncAllBranches(branches, worktree = null) {
+  logStep('Syncing', `Syncing all branches with their remotes...`)
 
   for (const branch of branches) {
     try {
       logInfo(`Syncing ${branch}...`)
-      logCommand(`git checkout ${branch}`)
-      execSync(`git checkout ${branch}`, { stdio: 'inherit' })
-      logCommand(`git pull origin ${branch}`)
-      execSync(`git pull origin ${branch}`, { stdio: 'inherit' })
+      pullBranch(branch, worktree)
       logSuccess(`Successfully synced ${branch}`)
     } catch (error) {
-      logError(`Failed to sync ${branch}`)
+      logError(`Failed to sync ${branch}: ${error.reason || error.message}`)
     }
   }
 }
 
 // Sync branches one by one with user confirmation
-async function syncBranchesOneByOne(branches) {
+async function syncBranchesOneByOne(branches, worktree = null) {
   for (const branch of branches) {
     const shouldSync = await askToSyncBranch(branch)
     if (shouldSync) {
       try {
         logInfo(`Syncing ${branch}...`)
-        logCommand(`git checkout ${branch}`)
-        execSync(`git checkout ${branch}`, { stdio: 'inherit' })
-        logCommand(`git pull origin ${branch}`)
-        execSync(`git pull origin ${branch}`, { stdio: 'inherit' })
+        pullBranch(branch, worktree)
         logSuccess(`Successfully synced ${branch}`)
       } catch (error) {
-        logError(`Failed to sync ${branch}`)
+        logError(`Failed to sync ${branch}: ${error.reason || error.message}`)
       }
     } else {
       logInfo(`Skipping ${branch}`)
@@ -170,274 +231,1078 @@ async function syncBranchesOneByOne(branches) {
 
 // Ask user if they want to sync a specific branch
 function askToSyncBranch(branchName) {
-  const readline = require('readline')
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-  })
-
-  return new Promise((resolve) => {
-    rl.question(`\nSync ${branchName} with origin? (y/n): `, (answer) => {
-      rl.close()
-      resolve(answer.trim().toLowerCase() === 'y' || answer.trim().toLowerCase() === 'yes')
-    })
-  })
+  return askConfirm('sync-branch', `Sync ${branchName} with ${getRemoteRef(branchName)}?`)
 }
 
+// Interactive conflict resolution (`worktreePath` when the sync runs in its own worktree,
+// `stashSha` when the user's uncommitted changes were stashed for it)
+function handleConflicts(currentBranch, sourceBranch, strategy = 'merge', { worktreePath, stashSha } = {}) {
+  const isRebase = strategy === 'rebase'
+  const action = isRebase ? `rebasing ${currentBranch} onto ${sourceBranch}` : `merging from ${sourceBranch} into ${currentBranch}`
 
-// Interactive conflict resolution
-function handleConflicts(currentBranch, sourceBranch) {
-  logError(`\n❌ Merge conflicts detected when merging from ${sourceBranch} into ${currentBranch}`)
-  logInfo('🛑 Sync aborted due to conflicts.')
-  logInfo('📋 Please resolve conflicts manually and then restart the sync process.')
-  
-  console.log('')
+  logError(`\n❌ ${isRebase ? 'Rebase' : 'Merge'} conflicts detected when ${action}`)
+  logInfo('⏸  Sync paused. Progress has been saved so it can be continued after you resolve the conflicts.')
+
+  log('')
   logInfo('📋 How to resolve conflicts:')
-  logInfo('1. Open the conflicted files in your editor')
+  logInfo(`1. Open the conflicted files in ${worktreePath || 'your editor'}`)
   logInfo('2. Look for conflict markers: <<<<<<< HEAD, =======, >>>>>>>')
   logInfo('3. Edit the files to resolve conflicts')
   logInfo('4. Save the files')
   logInfo('5. Stage the resolved files: git add <filename>')
-  logInfo('6. Complete the merge: git commit')
-  logInfo('7. Restart the sync: npx stacked-pr-sync master feature1 feature2 feature3')
-  console.log('')
-  
+  if (isRebase) {
+    logInfo('6. Continue the rebase: git rebase --continue (repeat until it finishes)')
+  } else {
+    logInfo('6. Complete the merge: git commit')
+  }
+  logInfo('7. Resume the sync: npx stacked-pr-sync --continue')
+  log('')
+
   logInfo('💡 Current state:')
-  logInfo(`   • You are on branch: ${currentBranch}`)
-  logInfo(`   • Merge from ${sourceBranch} is in progress`)
-  logInfo(`   • Resolve conflicts and complete the merge`)
-  logInfo(`   • Then restart the sync process`)
-  console.log('')
-  
-  logInfo('🚀 To restart after resolving conflicts:')
-  logInfo(`   npx stacked-pr-sync master feature1 feature2 feature3`)
-  console.log('')
-
-  // Exit the process - user needs to restart
-  process.exit(1)
-}
-
-// Handle uncommitted changes
-async function handleUncommittedChanges() {
+  if (worktreePath) {
+    logInfo(`   • The sync's worktree is at ${worktreePath}, on ${currentBranch}; your own checkout is untouched`)
+  } else {
+    logInfo(`   • You are on branch: ${currentBranch}`)
+  }
+  if (isRebase) {
+    logInfo(`   • Rebase onto ${sourceBranch} is in progress`)
+  } else {
+    logInfo(`   • Merge from ${sourceBranch} is in progress`)
+  }
+  logInfo('   • Branches above this one have not been updated yet')
+  if (stashSha) {
+    const stashIndex = findStashIndex(stashSha)
+    const ref = stashIndex === -1 ? stashSha : `stash@{${stashIndex}} (${stashSha.slice(0, 7)})`
+    logInfo(`   • Your uncommitted changes are stashed as ${ref}; --continue and --abort both bring them back`)
+  }
+  log('')
+
+  logInfo('↩️  To give up and restore every branch (and your stashed changes) to where they were:')
+  logInfo('   npx stacked-pr-sync --abort')
+  log('')
+
+  // Stop here - user resumes with --continue or rolls back with --abort
+  throw new ConflictError(`${isRebase ? 'Rebase' : 'Merge'} conflicts detected when ${action}`, {
+    phase: 'sync',
+    branch: currentBranch,
+    sourceBranch,
+    strategy,
+  })
+}
+
+// Handle uncommitted changes: stash them under a unique id. Returns the stash ({ id, sha }), or null when
+// only untracked files changed and they aren't included (they stay where they are).
+async function handleUncommittedChanges({ includeUntracked = false } = {}) {
   logWarning('Working directory has uncommitted changes')
   logInfo('Auto-stashing changes to continue...')
 
-            try {
-              logCommand('git stash push -m "Auto-stash before PR sync"')
-              execSync('git stash push -m "Auto-stash before PR sync"', { stdio: 'inherit' })
-              logSuccess('Changes stashed successfully')
-    return 'stashed'
-            } catch (error) {
-    logError('Failed to stash changes. Please commit or stash manually and try again.')
-    process.exit(1)
-        }
+  const stash = stashChanges({ includeUntracked })
+  if (stash) {
+    logSuccess(`Changes stashed successfully (${stash.id})`)
+  } else {
+    logInfo('Only untracked files changed; they stay where they are')
+  }
+  return stash
+}
+
+// Undo a merge or rebase that stopped partway, leaving the branch where it was before it started
+function cancelUpdate() {
+  if (isRebaseInProgress()) {
+    runGit(['rebase', '--abort'], { show: true })
+  } else if (isMergeInProgress()) {
+    runGit(['merge', '--abort'], { show: true })
+  }
+}
+
+// Check out a branch to update it. When the sync runs in its own worktree, a branch checked out in another
+// worktree can't be checked out a second time, so it is updated on a detached HEAD (see applyDetachedUpdate).
+function checkoutForUpdate(branch, worktree) {
+  if (worktree && worktree.checkedOut[branch]) {
+    logStep('Switching', `Detaching at ${branch}, which is checked out in ${worktree.checkedOut[branch]}`)
+    runGit(['checkout', '--detach', branch], { show: true })
+  } else {
+    switchToBranch(branch)
+  }
+}
+
+// Move a branch updated on a detached HEAD to the result, as a fast-forward in the worktree it is checked out in.
+// Returns null when it moved (or there was nothing to do), or the reason it couldn't.
+function applyDetachedUpdate(branch, before, worktree) {
+  const dir = worktree && worktree.checkedOut[branch]
+  const after = getCommitSha('HEAD')
+  return dir && after !== before ? fastForwardCheckedOut(branch, dir, before, after) : null
+}
+
+// Leave a branch that was updated but couldn't be moved as it is, along with every branch built on it
+function holdBackSubtree(state, branch, before, reason) {
+  const result = { branch, parent: state.parents[branch], status: 'blocked', before, after: before, reason }
+  recordBranchResult(state, result)
+  emit('branch:updated', result)
+  logWarning(`Could not update ${branch}: ${reason}`)
+
+  const above = getDescendants(state.branches, state.parents, branch)
+    .filter((child) => state.queue.includes(child) || state.deferred.includes(child))
+  above.forEach((child) => {
+    const skipped = { branch: child, parent: state.parents[child], status: 'skipped', reason: `built on ${branch}` }
+    recordBranchResult(state, skipped)
+    emit('branch:updated', skipped)
+  })
+  if (above.length > 0) {
+    logWarning(`Skipping the branches built on ${branch}: ${above.join(', ')}`)
+  }
+  const held = [branch, ...above]
+  state.queue = state.queue.filter((queued) => !held.includes(queued))
+  state.deferred = state.deferred.filter((queued) => !held.includes(queued))
+}
+
+// Record what happened to a branch, replacing what an earlier attempt recorded for it
+function recordBranchResult(state, result) {
+  state.branchResults = state.branchResults.filter((existing) => existing.branch !== result.branch).concat(result)
+}
+
+// Branches that are rebased whatever the strategy: the children of landed branches, moved off the landed commits,
+// and every branch built on them, which would otherwise merge the history that was left behind back in
+function getRebasedBranches(state) {
+  return Object.keys(state.reparented)
+    .flatMap((branch) => [branch, ...getDescendants(state.branches, state.parents, branch)])
+}
+
+// How a branch is brought up to date with its parent: 'merge' or 'rebase'
+function getUpdateMethod(state, branch) {
+  return getRebasedBranches(state).includes(branch) ? 'rebase' : state.strategy
+}
+
+// Merge or rebase each branch onto its parent, parents first, starting with the first branch in the queue.
+// In a stack that forks, a branch that can't be updated only holds up the branches built on it: its update is
+// rolled back and its subtree set aside until the rest of the stack is done, then retried, pausing if it fails again.
+async function runSyncLoop(state) {
+  const { branches, parents, strategy } = state
+  const total = branches.length - 1
+
+  logStep('Syncing', `Syncing branches locally (${strategy})...`)
+
+  // With rebase, each child is cut from its parent's tip as it was before the parent was rewritten,
+  // so commits from lower branches are never replayed twice. The root branch is never rewritten.
+  if (strategy === 'rebase' && !state.oldTips[branches[0]]) {
+    state.oldTips[branches[0]] = getCommitSha(branches[0])
+  }
+
+  while (state.queue.length > 0 || state.deferred.length > 0) {
+    throwIfInterrupted()
+    if (state.queue.length === 0) {
+      log('')
+      logInfo(`Retrying the branches that were set aside: ${state.deferred.join(', ')}`)
+      state.queue = state.deferred
+      state.deferred = []
+      state.retrying = true
+    }
+
+    const nextBranch = state.queue[0]
+    const currentBranch = parents[nextBranch]
+    const index = branches.indexOf(nextBranch)
+
+    logStep('Processing', `Branch ${index}/${total}: ${currentBranch} → ${nextBranch}`)
+    emit('branch:start', { branch: nextBranch, parent: currentBranch, index, total })
+
+    // Switch to the next branch
+    checkoutForUpdate(nextBranch, state.worktree)
+    const before = getCommitSha('HEAD')
+
+    // A child of a landed branch is always rebased, cut at the landed tip so the landed commits are dropped,
+    // and so is every branch built on it, cut at its parent's old tip like with the rebase strategy
+    const landedTip = state.reparented[nextBranch]
+    const method = getUpdateMethod(state, nextBranch)
+    // Noted until the update is over, so an interruption can put the branch back (see stopInterruptedSync)
+    state.updating = { branch: nextBranch, before }
+    let updateSuccess
+    if (landedTip) {
+      logInfo(`Moving ${nextBranch} onto ${currentBranch}, dropping the commits that already landed`)
+      updateSuccess = rebaseOntoBranch(currentBranch, landedTip)
+    } else if (method === 'rebase') {
+      updateSuccess = rebaseOntoBranch(currentBranch, state.oldTips[currentBranch])
+    } else {
+      // Merge changes from the parent branch
+      const detached = Boolean(state.worktree && state.worktree.checkedOut[nextBranch])
+      updateSuccess = mergeFromBranch(currentBranch, detached ? { into: nextBranch } : {})
+    }
+    state.oldTips[nextBranch] = before
+    // A merge that failed because git was interrupted is not a conflict
+    throwIfInterrupted()
+    // A clean merge can still break the build: the postMerge hooks, then the checks (on whatever the hooks
+    // committed), see it before anything is built on it
+    if (updateSuccess && getCommitSha('HEAD') !== before) {
+      await runPostMergeHooks(state, nextBranch, method, before)
+      if (state.verify.length > 0) {
+        await verifyUpdate(state, nextBranch, method, before)
+      }
+    }
+    state.updating = null
+
+    if (!updateSuccess) {
+      // A merge or rebase that stopped part way is a conflict, whatever kind of paths it left unmerged
+      const conflicted = hasConflicts() || isMergeInProgress() || isRebaseInProgress()
+      const subtree = [nextBranch, ...getDescendants(branches, parents, nextBranch)]
+      const unrelated = state.queue.filter((branch) => !subtree.includes(branch))
+
+      // Branches outside this subtree don't need it, so they go first
+      if (!state.retrying && unrelated.length > 0) {
+        cancelUpdate()
+        const result = { branch: nextBranch, parent: currentBranch, status: 'set-aside', before }
+        recordBranchResult(state, result)
+        emit('branch:updated', result)
+        logWarning(`Setting ${subtree.join(', ')} aside until the rest of the stack is synced`)
+        state.deferred.push(...state.queue.filter((branch) => subtree.includes(branch)))
+        state.queue = unrelated
+        continue
+      }
+
+      recordBranchResult(state, {
+        branch: nextBranch,
+        parent: currentBranch,
+        status: conflicted ? 'conflict' : 'failed',
+        before,
+      })
+
+      // Stop immediately, keeping enough state to continue or abort
+      saveSyncState(state)
+      if (conflicted) {
+        emit('conflict', { branch: nextBranch, parent: currentBranch, strategy: method })
+        handleConflicts(nextBranch, currentBranch, method, {
+          worktreePath: state.worktree && state.worktree.path,
+          stashSha: state.stashSha,
+        })
+      }
+      logError(`Failed to ${method} changes from ${currentBranch} to ${nextBranch}`)
+      logInfo('Fix the problem and run: npx stacked-pr-sync --continue, or roll back with: npx stacked-pr-sync --abort')
+      throw new UpdateFailedError(nextBranch, currentBranch, method)
+    }
+
+    const blocked = applyDetachedUpdate(nextBranch, before, state.worktree)
+    if (blocked) {
+      holdBackSubtree(state, nextBranch, before, blocked)
+      continue
+    }
+
+    const after = getCommitSha('HEAD')
+    let status = before === after ? 'up-to-date' : 'updated'
+    if (landedTip) {
+      status = 'reparented'
+    }
+    const result = { branch: nextBranch, parent: currentBranch, status, before, after }
+    recordBranchResult(state, result)
+    emit('branch:updated', result)
+    state.queue.shift()
+  }
+
+  logSuccess('\nStacked PR sync completed successfully!')
+}
+
+// What hooks are told about the sync, with `step` saying what the step they run at is about
+function getHookContext(state, step = {}) {
+  return {
+    stack: state.stackName || null,
+    branches: state.branches,
+    strategy: state.strategy,
+    worktree: state.worktree ? state.worktree.path : null,
+    branch: null,
+    parent: null,
+    before: null,
+    after: null,
+    remote: null,
+    ...step,
+  }
+}
+
+// Run the postMerge hooks on a branch that was just updated (and is checked out). When one vetoes the update,
+// or they leave changes they didn't commit, the update is rolled back and the sync pauses on the branch.
+async function runPostMergeHooks(state, branch, method, before) {
+  const parent = state.parents[branch]
+  let veto = await runHooks('postMerge', getHookContext(state, { branch, parent, before, after: getCommitSha('HEAD') }))
+  throwIfInterrupted()
+  if (!veto && !isWorkingDirectoryClean({ includeUntracked: false })) {
+    veto = { hook: 'The postMerge hooks', reason: 'they left changes that are not committed' }
+    logError(`${veto.hook} left changes on ${branch} that are not committed`)
+  }
+  if (!veto) {
+    return
+  }
+
+  const vetoed = getCommitSha('HEAD')
+  runGit(['reset', '--hard', before], { show: true })
+  state.updating = null
+  const result = { branch, parent, status: 'vetoed', before, after: before, reason: `${veto.hook}: ${veto.reason}` }
+  recordBranchResult(state, result)
+  emit('branch:updated', result)
+  saveSyncState(state)
+
+  log('')
+  logInfo('⏸  Sync paused. Progress has been saved so it can be continued once the hook is satisfied.')
+  const where = state.worktree ? ` (in ${state.worktree.path})` : ''
+  logInfo(`${branch} is back where it was${where}; the vetoed ${method} was ${vetoed.slice(0, 7)}. Try it again with:`)
+  logInfo('   npx stacked-pr-sync --continue')
+  logInfo('↩️  To give up and restore every branch (and your stashed changes): npx stacked-pr-sync --abort')
+  throw new HookVetoError('postMerge', veto.hook, veto.reason, branch)
+}
+
+// Run the verify commands on a branch that was just updated (and is checked out). When one fails, the sync
+// pauses on the branch, with the update rolled back or kept for debugging as the user chooses.
+async function verifyUpdate(state, branch, method, before) {
+  const parent = state.parents[branch]
+  const failure = verifyBranch(branch, state.verify)
+  throwIfInterrupted()
+  if (!failure) {
+    return
+  }
+
+  const choice = await askChoice(
+    'verify-failure',
+    `The ${method} from ${parent} broke ${branch}. What should happen to it?`,
+    [
+      { value: 'rollback', label: `Roll it back: ${branch} goes back to where it was` },
+      { value: 'keep', label: `Keep it, to debug and fix ${branch} before continuing` },
+    ],
+    { yesAnswer: 'rollback', hint: '--on-verify-failure=rollback|keep' }
+  )
+  if (choice === 'rollback') {
+    runGit(['reset', '--hard', before], { show: true })
+  } else if (choice !== 'keep') {
+    logError(`Invalid choice. Keeping the ${method}.`)
+  }
+
+  state.updating = null
+  const after = getCommitSha('HEAD')
+  const result = { branch, parent, status: 'verify-failed', before, after, reason: `${failure.command} failed` }
+  recordBranchResult(state, result)
+  emit('branch:updated', result)
+  saveSyncState(state)
+
+  log('')
+  logInfo('⏸  Sync paused. Progress has been saved so it can be continued once the branch is fixed.')
+  const where = state.worktree ? ` (in ${state.worktree.path})` : ''
+  if (choice === 'rollback') {
+    logInfo(`${branch} is back where it was${where}. Fix what broke it, then try the ${method} again with:`)
+  } else {
+    logInfo(`The ${method} was kept on ${branch}${where}. Fix it there and commit, then check it again with:`)
+  }
+  logInfo('   npx stacked-pr-sync --continue')
+  logInfo('↩️  To give up and restore every branch (and your stashed changes): npx stacked-pr-sync --abort')
+  throw new VerifyError(branch, failure.command, failure.status)
+}
+
+// Put the user back where they started: on the original branch (a sync in its own worktree never left it),
+// with the changes stashed for the sync restored. Returns whether the stash came back (null without one).
+function returnToOriginalCheckout(state) {
+  state.returned = true
+  if (state.worktree) {
+    removeSyncWorktree(state.worktree.path)
+  } else if (state.originalBranch && state.originalBranch !== getCurrentBranch()) {
+    logInfo(`Returning to original branch: ${state.originalBranch}`)
+    switchToBranch(state.originalBranch)
+  }
+
+  return state.stashSha ? restoreStash(state.stashSha) : null
+}
+
+// Stop a sync that a signal interrupted: cancel the merge or rebase in progress, return to the original checkout
+// with the stashed changes and forget the sync, then say what the repository was left like. Branches that were
+// already updated stay that way; the backup taken before the sync can put them back.
+function stopInterruptedSync(state, signal) {
+  const returning = !state.returned
+  let stashRestored = null
+  if (returning) {
+    // git may have been stopped partway through a merge or rebase, or just after it: the branch it was
+    // updating goes back to where it was
+    if (state.updating) {
+      cancelUpdate()
+      runGit(['reset', '--hard', state.updating.before], { show: true })
+    }
+    stashRestored = returnToOriginalCheckout(state)
+  }
+  clearSyncState()
+
+  const changed = state.stackBranches.filter((branch) => getBranchTip(branch) !== state.originalTips[branch])
+  log('')
+  logWarning(`⏹  Sync interrupted by ${signal}. This is where it left the repository:`)
+  logInfo('   • No merge or rebase is in progress')
+  if (state.worktree) {
+    logInfo('   • The temporary worktree was removed; your own checkout was not touched')
+  } else {
+    logInfo(`   • You are on ${state.originalBranch || 'the commit you started from'}`)
+  }
+  if (returning && state.stashSha) {
+    const stash = stashRestored ? 'were restored' : 'are still stashed (see above)'
+    logInfo(`   • Your uncommitted changes ${stash}`)
+  }
+  if (changed.length > 0) {
+    logInfo(`   • Already updated: ${changed.join(', ')}. Sync again to finish, or put them back with:`)
+    logInfo(`     npx stacked-pr-sync undo ${state.backupId}`)
+  } else {
+    logInfo('   • No branch was changed')
+  }
+  log('')
+  emit('sync:interrupted', { signal, changed, backupId: state.backupId || null })
+}
+
+// A sync that stopped before moving any branch has nothing to undo, so its snapshot is dropped
+function discardUnusedBackup(state) {
+  const moved = state.stackBranches.some((branch) => getBranchTip(branch) !== state.originalTips[branch])
+  if (state.backupId && !moved) {
+    discardBackup(state.backupId)
+    state.backupId = null
+  }
+}
+
+// Clean up after a sync that stopped with `error`. An interrupted sync is stopped (see stopInterruptedSync) and
+// rethrown as an InterruptedError; otherwise a sync paused on a conflict keeps its worktree and stash for
+// --continue or --abort, and any other stop puts the checkout and the stashed changes back the way they were.
+function cleanUpAfterError(state, error) {
+  const signal = getInterruption()
+  try {
+    if (signal) {
+      stopInterruptedSync(state, signal)
+    } else if (!state.returned && !loadSyncState()) {
+      if (!state.worktree) {
+        cancelUpdate()
+      }
+      returnToOriginalCheckout(state)
+      discardUnusedBackup(state)
+    }
+  } catch (cleanupError) {
+    logWarning(`Could not put your checkout back: ${cleanupError.message}`)
+  }
+  return signal ? new InterruptedError(signal) : error
+}
+
+// Push, return to the original branch and restore stashed changes, then report what happened
+async function finishSync(state) {
+  // Ask user to push changes (only if the stack's remote exists)
+  let pushes = []
+  const pushRemoteExists = checkRemoteExists()
+  if (!pushRemoteExists) {
+    logInfo(`No ${getDefaultRemote()} remote found. Skipping push options.`)
+  } else if (state.branches.length > 1) {
+    pushes = await askToPushChanges(state.branches, {
+      remoteTips: state.remoteTips,
+      rewritten: state.strategy === 'rebase' ? state.branches : getRebasedBranches(state),
+      forceWithLease: state.pushOptions.forceWithLease,
+      atomic: state.pushOptions.atomic,
+      prePush: (branch) => runHooks('prePush', getHookContext(state, {
+        branch,
+        parent: state.parents[branch],
+        before: state.remoteTips[branch] || null,
+        after: getBranchTip(branch),
+        remote: getUpstream(branch).remote,
+      })),
+    })
+  }
+
+  // Pull requests only make sense once every branch that was pushed made it
+  let pullRequests = []
+  if (state.pullRequests && pushRemoteExists) {
+    if (pushes.some((push) => push.status === 'rejected' || push.status === 'vetoed')) {
+      logWarning('Skipping pull requests because some branches were not pushed')
+    } else {
+      pullRequests = await syncPullRequests(state.branches, state.parents, state.pullRequests)
+    }
+  }
+
+  const stashRestored = returnToOriginalCheckout(state)
+
+  clearSyncState()
+
+  // Landed branches are only cleaned up once everything above them has moved off
+  const landed = state.landed.length > 0 ? await offerLandedCleanup(state.landed, state.stackBranches) : []
+
+  const result = {
+    status: 'completed',
+    strategy: state.strategy,
+    branches: state.branchResults,
+    landed,
+    pushes,
+    pullRequests,
+    originalBranch: state.originalBranch,
+    stashRestored,
+    backupId: state.backupId,
+  }
+  // Everything is done by now, so a postSync hook that fails has nothing to veto
+  const failure = await runHooks('postSync', getHookContext(state, { result }))
+  if (failure) {
+    logWarning(`${failure.hook} failed after the sync (${failure.reason}); the sync itself is complete`)
+  }
+  emit('sync:complete', result)
+  return result
+}
+
+// Apply preset answers from the options before any question is asked
+function applyPromptOptions(options) {
+  configurePrompts({
+    answers: {
+      'origin-sync': options.originSync,
+      push: options.push,
+      'remove-landed': options.removeLanded,
+      'verify-failure': options.verifyFailure,
+    },
+    yes: Boolean(options.yes),
+    interactive: !options.nonInteractive,
+  })
 }
 
-// Main function to sync stacked PRs
-async function syncStackedPRs(branches) {
+// Main function to sync stacked PRs.
+// Resolves to a summary of what happened to each branch; throws a StackedPRSyncError subclass otherwise.
+async function syncStackedPRs(branches, options = {}) {
+  setEventEmitter(options.events)
+  // Options win over the environment and the config; see resolveSettings for the layers
+  const settings = { ...options, ...resolveSettings(options, { branches }) }
+  const { strategy } = settings
+  applyPromptOptions(settings)
+  configureHooks(settings)
+
   if (!checkGitRepo()) {
-    logError('Not in a git repository. Please run this script from a git repository.')
-    process.exit(1)
+    throw new NotAGitRepositoryError()
+  }
+
+  if (!Array.isArray(branches) || branches.length < 2) {
+    throw new StackedPRSyncError('A stack needs at least two branches (a base and one branch on top).', 'INVALID_STACK')
   }
 
-  let stashAction = null
-  if (!isWorkingDirectoryClean()) {
-    stashAction = await handleUncommittedChanges()
-    if (stashAction === 'abort') {
-      process.exit(1)
+  // Names come from the command line and the config file; check them before any of them reaches git
+  const remotes = { remote: settings.remote, baseRemote: settings.baseRemote }
+  branches.forEach(validateBranchName)
+  Object.values(remotes).filter(Boolean).forEach(validateRemoteName)
+  configureRemotes(branches, remotes)
+  const tree = resolveStackTree(branches, options.parents)
+
+  if (loadSyncState()) {
+    throw new SyncStateError(
+      'A previous sync is paused on a conflict. Resume it with --continue or roll it back with --abort.'
+    )
+  }
+
+  for (const branch of branches) {
+    if (!branchExists(branch)) {
+      throw new BranchNotFoundError(branch)
     }
   }
 
+  emit('sync:start', { branches: tree.branches, parents: tree.parents, strategy })
+
+  // A preSync hook can call the sync off before anything changes
+  const veto = await runHooks('preSync', getHookContext({ ...tree, stackName: settings.stackName, strategy }))
+  throwIfInterrupted()
+  if (veto) {
+    throw new HookVetoError('preSync', veto.hook, veto.reason)
+  }
+
+  // Record every branch tip before anything moves, so --abort can put them back
+  const originalTips = {}
+  for (const branch of branches) {
+    originalTips[branch] = getBranchTip(branch)
+  }
+
+  // Only the stash entry created by this run is ours to restore, and it is restored by its SHA.
+  // A sync in its own worktree never touches the user's checkout, so there is nothing to stash.
+  let stash = null
+  if (!settings.worktree && !isWorkingDirectoryClean()) {
+    stash = await handleUncommittedChanges(settings)
+  }
+
   const originalBranch = getCurrentBranch()
   logInfo(`Starting from branch: ${originalBranch}`)
 
+  const state = {
+    branches: tree.branches,
+    parents: tree.parents,
+    stackBranches: branches,
+    stackName: settings.stackName,
+    strategy,
+    queue: [],
+    deferred: [],
+    retrying: false,
+    originalBranch,
+    originalHead: getCommitSha('HEAD'),
+    stashSha: stash ? stash.sha : null,
+    stashId: stash ? stash.id : null,
+    originalTips,
+    remotes,
+    oldTips: {},
+    landed: [],
+    reparented: {},
+    remoteTips: {},
+    pushOptions: { forceWithLease: Boolean(options.forceWithLease), atomic: Boolean(options.atomic) },
+    pullRequests: getPullRequestSettings(settings),
+    verify: settings.verify || [],
+    worktree: null,
+    branchResults: [],
+  }
+  // A signal that arrives while we wait on a prompt or the network gets the same cleanup as one seen by git
+  setInterruptCleanup((signal) => stopInterruptedSync(state, signal))
+
   try {
-    // Step 1: Smart origin detection and status report
-    const { branchStatuses, outOfSyncBranches } = checkBranchStatuses(branches)
+    // Snapshot the stack before the origin sync or anything after it moves a branch, so `undo` can put it back
+    const backup = createBackup({
+      branches,
+      originalTips,
+      originalBranch,
+      originalHead: state.originalHead,
+      stashSha: state.stashSha,
+    })
+    state.backupId = backup.id
+    emit('backup', { id: backup.id, tips: originalTips })
+
+    // Step 1: Compare each branch with its remote, as it is now rather than as of the user's last fetch
+    fetchLatest()
+    const { outOfSyncBranches } = checkBranchStatuses(branches)
+
+    // Everything from here on checks out and merges in a temporary worktree when asked to,
+    // leaving the user's own checkout (and any branch checked out in another worktree) alone
+    if (settings.worktree) {
+      const checkedOut = getCheckedOutBranches()
+      state.worktree = { path: createSyncWorktree(state.originalHead), checkedOut }
+    }
 
     // Step 2: Handle origin sync if needed
-    const originExists = checkOriginExists()
-    
-      if (outOfSyncBranches.length > 0) {
-      if (originExists) {
-        await handleOutOfSyncBranches(outOfSyncBranches)
+    const remoteExists = checkRemoteExists()
+
+    if (outOfSyncBranches.length > 0) {
+      if (remoteExists) {
+        await handleOutOfSyncBranches(outOfSyncBranches, state.worktree)
       } else {
-        logInfo('No origin remote found. Continuing with local branches only.')
+        logInfo(`No ${getDefaultRemote()} remote found. Continuing with local branches only.`)
       }
     } else {
-      if (originExists) {
-        logSuccess('All branches are in sync with origin!')
+      if (remoteExists) {
+        logSuccess('All branches are in sync with their remotes!')
       } else {
-        logInfo('No origin remote found. Working with local branches only.')
+        logInfo(`No ${getDefaultRemote()} remote found. Working with local branches only.`)
       }
     }
 
-    // Step 3: Pre-check for potential merge conflicts
-    const config = loadConfig()
-    const shouldCheckConflicts = !config || !config.settings || config.settings.preConflictCheck.enabled
+    // Pushes are leased against the remotes as we see them now, after any origin sync
+    for (const branch of branches) {
+      state.remoteTips[branch] = getRemoteBranchTip(branch)
+    }
 
-    if (shouldCheckConflicts) {
-      const potentialConflicts = await checkAllPotentialConflicts(branches)
-      await handlePreDetectedConflicts(potentialConflicts)
-      } else {
-        logWarning('Skipping pre-conflict check (disabled in config)')
+    // Step 3: Take branches that already landed in the base out of the chain
+    state.landed = findLandedBranches(state.branches, state.parents)
+    if (state.landed.length > 0) {
+      const { remaining, parents, reparented } = reparentAroundLanded(state.branches, state.parents, state.landed)
+      printLandedBranches(state.branches, state.landed, parents, reparented)
+      emit('landed', { branches: state.landed, remaining, reparented })
+      state.branches = remaining
+      state.parents = parents
+      state.reparented = reparented
+    }
+
+    // Step 4: Pre-check for potential merge conflicts
+    if (settings.preConflictCheck) {
+      const potentialConflicts = await checkAllPotentialConflicts(state.branches, state.parents, {
+        reparented: state.reparented,
+        rebased: getRebasedBranches(state),
+      })
+      throwIfInterrupted()
+      emit('precheck', { conflicts: potentialConflicts })
+      await handlePreDetectedConflicts(potentialConflicts, { strict: settings.strictMode })
+    } else {
+      logWarning('Skipping pre-conflict check (preConflictCheck is off)')
       logInfo('This may result in conflicts during the sync process.')
     }
 
-    // Step 4: Sync branches locally
-    logStep('Syncing', 'Syncing branches locally...')
+    // Step 5: Sync branches locally, parents before children
+    state.queue = state.branches.slice(1)
+    await runSyncLoop(state)
+
+    // Step 6: Push, return to the original branch and restore the stash
+    return await finishSync(state)
+  } catch (error) {
+    throw cleanUpAfterError(state, error)
+  } finally {
+    setInterruptCleanup(null)
+  }
+}
+
+// Resume a sync that was paused on a conflict, a failed verification or an update a hook vetoed
+async function continueSync(options = {}) {
+  setEventEmitter(options.events)
+
+  const state = loadSyncState()
+  if (!state) {
+    throw new SyncStateError('No paused sync found. Nothing to continue.')
+  }
+  const stackName = options.stackName || state.stackName
+  const settings = { ...options, ...resolveSettings({ ...options, stackName }, { branches: state.stackBranches }) }
+  applyPromptOptions(settings)
+  configureHooks(settings)
+
+  configureRemotes(state.stackBranches, state.remotes)
+  if (state.worktree && !resumeSyncWorktree(state.worktree.path)) {
+    throw new SyncStateError(`The sync's worktree is gone (${state.worktree.path}). Roll the sync back with --abort.`)
+  }
+
+  // Push flags given with --continue add to the ones the sync started with
+  state.pushOptions.forceWithLease = state.pushOptions.forceWithLease || Boolean(options.forceWithLease)
+  state.pushOptions.atomic = state.pushOptions.atomic || Boolean(options.atomic)
+  state.pullRequests = state.pullRequests || getPullRequestSettings(settings)
+  // The sync keeps its verify commands unless others are given, or --no-verify turns them off
+  if (settings.verify === false || settings.verify.length > 0) {
+    state.verify = settings.verify || []
+  }
+  state.verify = state.verify || []
 
-    for (let i = 0; i < branches.length - 1; i++) {
-      const currentBranch = branches[i]
-      const nextBranch = branches[i + 1]
+  const childBranch = state.queue[0]
+  const parentBranch = state.parents[childBranch]
+  // A sync only saves its progress where it pauses, on a branch it has a result for
+  const pausedResult = state.branchResults.find((result) => result.branch === childBranch)
+  if (!pausedResult) {
+    throw new SyncStateError(
+      `The saved sync state is stale: it didn't pause on ${childBranch || 'any branch'}. Clear it with --abort.`
+    )
+  }
+  // A branch checked out in another worktree was being updated on a detached HEAD
+  const detached = Boolean(state.worktree && state.worktree.checkedOut[childBranch])
 
-      logStep('Processing', `Branch ${i + 1}/${branches.length - 1}: ${currentBranch} → ${nextBranch}`)
+  if (hasConflicts() || isMergeInProgress() || isRebaseInProgress()) {
+    if (state.worktree) {
+      logInfo(`The sync's worktree is at ${state.worktree.path}`)
+    }
+    if (isRebaseInProgress()) {
+      logInfo('Resolve the conflicts, stage them with git add, then run: git rebase --continue')
+      throw new SyncStateError(`The rebase of ${childBranch} onto ${parentBranch} is not finished yet.`)
+    }
+    logInfo('Resolve the conflicts, stage them with git add, then run: git commit')
+    throw new SyncStateError(`The merge of ${parentBranch} into ${childBranch} is not finished yet.`)
+  }
 
-      // Switch to the next branch
-      switchToBranch(nextBranch)
+  const method = getUpdateMethod(state, childBranch)
+  // A branch that failed its checks or had its update vetoed may have been rolled back
+  const retryable = ['verify-failed', 'vetoed'].includes(pausedResult.status)
+  const updated = isAncestor(parentBranch, detached ? 'HEAD' : childBranch)
+  if (!updated && !retryable) {
+    logInfo(`Finish the ${method} on ${childBranch}, or roll back with: npx stacked-pr-sync --abort`)
+    throw new SyncStateError(`${childBranch} does not contain ${parentBranch} yet.`)
+  }
 
-      // Merge changes from the current branch
-      const mergeSuccess = mergeFromBranch(currentBranch)
+  setInterruptCleanup((signal) => stopInterruptedSync(state, signal))
+  try {
+    if (!updated) {
+      // An update that was rolled back is simply tried again
+      logInfo(`Trying the ${method} from ${parentBranch} into ${childBranch} again`)
+    } else {
+      // A branch finished by hand (a resolved conflict, or a kept update that failed its checks and was fixed)
+      // goes through the postMerge hooks and the checks before anything is built on it
+      if (!detached) {
+        switchToBranch(childBranch)
+      }
+      await runPostMergeHooks(state, childBranch, method, pausedResult.before)
+      if (state.verify.length > 0) {
+        await verifyUpdate(state, childBranch, method, pausedResult.before)
+      }
+      const finished = { 'verify-failed': 'Fixed', vetoed: 'Updated by hand' }[pausedResult.status]
+      logSuccess(`${finished || 'Conflict resolved'}: ${parentBranch} → ${childBranch}`)
 
-      if (!mergeSuccess) {
-        if (hasConflicts()) {
-          // Stop immediately on conflicts
-          handleConflicts(nextBranch, currentBranch)
-        } else {
-          logError(`Failed to merge changes from ${currentBranch} to ${nextBranch}`)
-          break
-        }
+      // The paused branch was finished by hand
+      const blocked = applyDetachedUpdate(childBranch, pausedResult.before, state.worktree)
+      if (blocked) {
+        holdBackSubtree(state, childBranch, pausedResult.before, blocked)
+      } else {
+        Object.assign(pausedResult, { status: 'resolved', after: getBranchTip(childBranch) })
+        emit('branch:updated', pausedResult)
+        state.queue.shift()
       }
     }
+    logInfo(`Continuing sync: ${formatStack(state.branches, state.parents)}`)
+
+    await runSyncLoop(state)
+    return await finishSync(state)
+  } catch (error) {
+    throw cleanUpAfterError(state, error)
+  } finally {
+    setInterruptCleanup(null)
+  }
+}
+
+// Roll back a paused sync: every branch, the checkout and the stash go back to their pre-sync state
+async function abortSync(options = {}) {
+  setEventEmitter(options.events)
 
-    logSuccess('\nStacked PR sync completed successfully!')
+  const state = loadSyncState()
+  if (!state) {
+    throw new SyncStateError('No paused sync found. Nothing to abort.')
+  }
+  configureRemotes(state.stackBranches, state.remotes)
+  const { worktree } = state
+  const inWorktree = Boolean(worktree) && resumeSyncWorktree(worktree.path)
+
+  logStep('Aborting', 'Restoring branches to where they were before the sync...')
 
-    // Step 5: Ask user to push changes (only if origin exists)
-    const pushOriginExists = checkOriginExists()
-    if (pushOriginExists) {
-    await askToPushChanges(branches)
+  try {
+    if (worktree && !inWorktree) {
+      // The sync's worktree was deleted by hand: let git forget it, so the branch it had checked out can move
+      removeSyncWorktree(worktree.path)
     } else {
-      logInfo('No origin remote found. Skipping push options.')
+      cancelUpdate()
+
+      // Detach so the branch we're standing on can be moved as well
+      runGit(['checkout', '--detach'], { show: true })
     }
 
-    // Return to original branch
-    if (originalBranch !== getCurrentBranch()) {
-      logInfo(`Returning to original branch: ${originalBranch}`)
-      switchToBranch(originalBranch)
+    const branchResults = []
+    for (const branch of state.branches) {
+      const original = state.originalTips[branch]
+      // A branch checked out in another worktree only moved by fast-forwarding there, so it moves back there too
+      const dir = worktree && worktree.checkedOut[branch]
+      const reason = dir && getBranchTip(branch) !== original ? resetCheckedOut(branch, dir, original) : null
+      if (reason) {
+        logWarning(`Could not restore ${branch}: ${reason}`)
+        branchResults.push({ branch, status: 'not-restored', reason, after: getBranchTip(branch) })
+        continue
+      }
+      if (!dir) {
+        resetBranch(branch, original)
+      }
+      branchResults.push({ branch, status: 'restored', after: original })
     }
 
-    // Restore stashed changes if we stashed them
-    if (stashAction === 'stashed') {
-      logInfo('Restoring stashed changes...')
-      try {
-        logCommand('git stash pop')
-        execSync('git stash pop', { stdio: 'inherit' })
-        logSuccess('Stashed changes restored successfully')
-      } catch (error) {
-        logWarning('Failed to restore stashed changes automatically')
-        logInfo('You can restore them manually with: git stash pop')
+    // A sync in its own worktree never left the original branch
+    if (worktree) {
+      if (inWorktree) {
+        removeSyncWorktree(worktree.path)
       }
+    } else if (state.originalBranch) {
+      switchToBranch(state.originalBranch)
+    } else {
+      runGit(['checkout', '--detach', state.originalHead], { show: true })
+    }
+
+    const stashRestored = state.stashSha ? restoreStash(state.stashSha) : null
+
+    clearSyncState()
+    if (branchResults.some((result) => result.status === 'not-restored')) {
+      logWarning('Sync aborted, but not every branch could be put back (see above).')
+    } else {
+      logSuccess('Sync aborted. All branches are back to their pre-sync state.')
     }
+
+    const result = { status: 'aborted', branches: branchResults, originalBranch: state.originalBranch, stashRestored }
+    emit('sync:aborted', result)
+    return result
   } catch (error) {
-    logError(`Error during sync: ${error.message}`)
-    process.exit(1)
+    logInfo('The saved sync state was kept so you can retry: npx stacked-pr-sync --abort')
+    throw new StackedPRSyncError(`Failed to abort the sync: ${error.message}`, 'ABORT_FAILED')
   }
 }
 
+// Put every branch of a backed-up sync back where it was, return to the original branch and restore the stash
+async function undoSync(backupId, options = {}) {
+  setEventEmitter(options.events)
+
+  if (!checkGitRepo()) {
+    throw new NotAGitRepositoryError()
+  }
+  if (loadSyncState()) {
+    throw new SyncStateError('A sync is paused on a conflict. Roll it back with --abort instead.')
+  }
+  const backup = getBackup(backupId)
+  // Untracked files survive the checkouts below; uncommitted changes to tracked files would not
+  if (!isWorkingDirectoryClean({ includeUntracked: false })) {
+    throw new DirtyWorktreeError('Commit or stash your changes before undoing a sync.')
+  }
+
+  logStep('Undo', `Restoring backup ${backup.id}: ${backup.branches.join(' → ')}`)
 
+  // Detach so the branch we're standing on can be moved as well
+  runGit(['checkout', '--detach'], { show: true })
 
-// Push all branches at once
-function pushAllBranches(branches) {
-  logStep('Pushing', `Pushing all branches to origin...`)
+  const branchResults = backup.branches.map((branch) => {
+    const before = getBranchTip(branch)
+    resetBranch(branch, backup.tips[branch])
+    return { branch, status: before === backup.tips[branch] ? 'unchanged' : 'restored', before, after: backup.tips[branch] }
+  })
+
+  if (backup.originalBranch && getBranchTip(backup.originalBranch)) {
+    switchToBranch(backup.originalBranch)
+  } else {
+    runGit(['checkout', '--detach', backup.originalHead], { show: true })
+  }
+
+  // A stash still waiting in the list is popped; one the sync already restored is only pointed at
+  let stashRestored = null
+  if (backup.stashSha && findStashIndex(backup.stashSha) !== -1) {
+    stashRestored = restoreStash(backup.stashSha)
+  } else if (backup.stashSha) {
+    logInfo(`The stash from before the sync was already restored. Reapply it with: git stash apply ${backup.stashSha}`)
+  }
+
+  logSuccess(`Backup ${backup.id} restored.`)
+  const result = { status: 'undone', backupId: backup.id, branches: branchResults, originalBranch: backup.originalBranch, stashRestored }
+  emit('sync:undone', result)
+  return result
+}
+
+// What git's rejection reasons mean for a stack push
+const PUSH_REJECTION_HINTS = {
+  'stale info': 'the remote changed since the status check; sync again before pushing',
+  'fetch first': 'the remote has commits that are not here; sync with it first',
+  'non-fast-forward': 'history was rewritten; push with --force-with-lease',
+  'atomic push failed': 'another branch in the atomic push was rejected',
+}
+
+// Work out how branches have to be pushed: a lease on the remote SHA seen during the status check
+// for rewritten history (or every branch with --force-with-lease), and -u for branches never pushed
+function getPushFlags(branches, plan) {
+  const leases = {}
+  branches.forEach((branch) => {
+    const remoteTip = plan.remoteTips[branch]
+    if (remoteTip && (plan.forceWithLease || plan.rewritten.includes(branch))) {
+      leases[branch] = remoteTip
+    }
+  })
+  return { leases, setUpstream: branches.some((branch) => !plan.remoteTips[branch]) }
+}
 
+// Turn git's outcome for one branch into a push result and report it
+function recordPushOutcome(outcome, plan) {
+  const { branch } = outcome
+  let result
+  if (outcome.ok) {
+    result = { branch, status: 'pushed', forced: outcome.flag === '+', upstreamSet: !plan.remoteTips[branch] }
+    if (outcome.flag === '=') {
+      result.reason = 'already up to date'
+    }
+    logSuccess(`Successfully pushed ${branch}`)
+  } else {
+    const hint = PUSH_REJECTION_HINTS[outcome.reason]
+    result = { branch, status: 'rejected', reason: hint ? `${outcome.reason}: ${hint}` : outcome.reason }
+    logError(`Failed to push ${branch}: ${result.reason}`)
+  }
+  emit('push', result)
+  return result
+}
+
+// Push one branch to its remote and record the outcome
+function pushBranch(branch, plan) {
+  logInfo(`Pushing ${branch}...`)
+  const [outcome] = pushToRemote(getUpstream(branch).remote, [branch], getPushFlags([branch], plan))
+  return recordPushOutcome(outcome, plan)
+}
+
+// Push all branches at once, or in a single all-or-nothing transaction with --atomic
+function pushAllBranches(branches, plan) {
+  if (!plan.atomic) {
+    logStep('Pushing', `Pushing all branches to ${getDefaultRemote()}...`)
+    return branches.map((branch) => pushBranch(branch, plan))
+  }
+
+  // A transaction can't span remotes, so a stack pushed to several remotes gets one atomic push per remote
+  const remotes = [...new Set(branches.map((branch) => getUpstream(branch).remote))]
+  logStep('Pushing', `Pushing all branches to ${remotes.join(', ')} in one atomic push per remote...`)
+  const outcomes = remotes.flatMap((remote) => {
+    const remoteBranches = branches.filter((branch) => getUpstream(branch).remote === remote)
+    return pushToRemote(remote, remoteBranches, { ...getPushFlags(remoteBranches, plan), atomic: true })
+  })
+  return outcomes.map((outcome) => recordPushOutcome(outcome, plan))
+}
+
+// Record a push a prePush hook vetoed, or (status 'skipped') one of an atomic push that a veto called off
+function skipVetoedPush(branch, reason, status = 'vetoed') {
+  const result = { branch, status, reason }
+  logWarning(`Not pushing ${branch}: ${reason}`)
+  emit('push', result)
+  return result
+}
+
+// Run the prePush hooks of the branches about to be pushed together, then push the ones they let through.
+// In an atomic push, a veto calls off the whole push.
+async function pushAllowedBranches(branches, plan) {
+  const vetoed = {}
   for (const branch of branches) {
-    try {
-      logInfo(`Pushing ${branch}...`)
-      logCommand(`git push origin ${branch}`)
-      execSync(`git push origin ${branch}`, { stdio: 'inherit' })
-      logSuccess(`Successfully pushed ${branch}`)
-    } catch (error) {
-      logError(`Failed to push ${branch}`)
+    const veto = await plan.prePush(branch)
+    if (veto) {
+      vetoed[branch] = skipVetoedPush(branch, `${veto.hook} vetoed it`)
+      if (plan.atomic) {
+        break
+      }
     }
   }
+
+  if (plan.atomic && Object.keys(vetoed).length > 0) {
+    const [branch] = Object.keys(vetoed)
+    const calledOff = `the atomic push was called off when ${branch} was vetoed`
+    return branches.map((other) => vetoed[other] || skipVetoedPush(other, calledOff, 'skipped'))
+  }
+  const allowed = branches.filter((branch) => !vetoed[branch])
+  const pushed = allowed.length > 0 ? pushAllBranches(allowed, plan) : []
+  return branches.map((branch) => vetoed[branch] || pushed.find((result) => result.branch === branch))
 }
 
 // Ask user to push changes
-async function askToPushChanges(branches) {
+async function askToPushChanges(branches, plan) {
   const branchesToPush = branches.slice(1) // Exclude master/main branch
 
-  logStep('Push Changes', `Would you like to push the updated branches to origin?`)
+  logStep('Push Changes', `Would you like to push the updated branches to ${getDefaultRemote()}?`)
   logInfo(`Branches to push: ${branchesToPush.join(', ')}`)
+  const leased = branchesToPush.filter((branch) => plan.remoteTips[branch] && plan.rewritten.includes(branch))
+  if (leased.length > 0) {
+    logWarning(`History was rewritten; these are pushed with --force-with-lease: ${leased.join(', ')}`)
+  }
 
-  const readline = require('readline')
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-  })
+  const choice = await askChoice(
+    'push',
+    `Push the updated branches to ${getDefaultRemote()}?`,
+    [
+      { value: 'all', label: plan.atomic ? 'Push all branches (atomic)' : 'Push all branches' },
+      { value: 'one-by-one', label: 'Push branches one by one' },
+      { value: 'none', label: 'Skip pushing' },
+    ],
+    { yesAnswer: 'all', hint: '--push=all|none' }
+  )
 
-  return new Promise((resolve) => {
-    rl.question('\nOptions:\n1. Push all branches\n2. Push branches one by one\n3. Skip pushing\n\nEnter your choice (1-3): ', (answer) => {
-      rl.close()
-
-      switch (answer.trim()) {
-        case '1':
-          pushAllBranches(branchesToPush)
-          resolve()
-          break
-        case '2':
-          pushBranchesOneByOne(branchesToPush)
-          resolve()
-          break
-        case '3':
-          logInfo('Skipping push. You can push manually later.')
-          resolve()
-          break
-        default:
-          logError('Invalid choice. Skipping push.')
-          resolve()
-      }
-    })
-  })
+  switch (choice) {
+    case 'all':
+      return pushAllowedBranches(branchesToPush, plan)
+    case 'one-by-one':
+      return pushBranchesOneByOne(branchesToPush, plan)
+    case 'none':
+      logInfo('Skipping push. You can push manually later.')
+      return branchesToPush.map((branch) => ({ branch, status: 'skipped', reason: 'push declined' }))
+    default:
+      logError('Invalid choice. Skipping push.')
+      return branchesToPush.map((branch) => ({ branch, status: 'skipped', reason: 'invalid choice' }))
+  }
 }
 
 // Push branches one by one with user confirmation
-async function pushBranchesOneByOne(branches) {
+async function pushBranchesOneByOne(branches, plan) {
+  const results = []
+
   for (const branch of branches) {
     const shouldPush = await askToPushBranch(branch)
-    if (shouldPush) {
-      try {
-        logInfo(`Pushing ${branch}...`)
-        logCommand(`git push origin ${branch}`)
-        execSync(`git push origin ${branch}`, { stdio: 'inherit' })
-        logSuccess(`Successfully pushed ${branch}`)
-      } catch (error) {
-        logError(`Failed to push ${branch}`)
-      }
+    const veto = shouldPush ? await plan.prePush(branch) : null
+    if (veto) {
+      results.push(skipVetoedPush(branch, `${veto.hook} vetoed it`))
+    } else if (shouldPush) {
+      results.push(pushBranch(branch, plan))
     } else {
       logInfo(`Skipping ${branch}`)
+      const result = { branch, status: 'skipped', reason: 'push declined' }
+      emit('push', result)
+      results.push(result)
     }
   }
+
+  return results
 }
 
 // Ask user if they want to push a specific branch
 function askToPushBranch(branchName) {
-  const readline = require('readline')
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-  })
-
-  return new Promise((resolve) => {
-    rl.question(`\nPush ${branchName} to origin? (y/n): `, (answer) => {
-      rl.close()
-      resolve(answer.trim().toLowerCase() === 'y' || answer.trim().toLowerCase() === 'yes')
-    })
-  })
+  return askConfirm('push-branch', `Push ${branchName} to ${getUpstream(branchName).remote}?`)
 }
 
-
+// Commands that change the repository hold its lock while they run, so two of them never overlap
 module.exports = {
-  syncStackedPRs,
+  syncStackedPRs: withLock('sync', syncStackedPRs),
+  continueSync: withLock('continue', continueSync),
+  abortSync: withLock('abort', abortSync),
+  undoSync: withLock('undo', undoSync),
   getOutOfSyncBranches,
   handleOutOfSyncBranches,
   handleConflicts,
@@ -0,0 +1,32 @@
+const { runShellCommand } = require('../utils/shell')
+const { log, logStep, logSuccess, logError } = require('../utils/logger')
+const { emit } = require('../utils/events')
+
+// Check a branch that was just updated with each verify command in turn, stopping at the first that fails.
+// Output is only shown for a command that fails. Returns null when every command passed, or
+// { command, status, output } for the one that failed.
+function verifyBranch(branch, commands) {
+  logStep('Verifying', `Checking ${branch}: ${commands.join(', ')}`)
+
+  for (const command of commands) {
+    const { status, signal, output, seconds } = runShellCommand(command)
+    emit('verify', { branch, command, status: status === 0 ? 'passed' : 'failed', exitCode: status, seconds })
+
+    if (status === 0) {
+      logSuccess(`${command} passed (${seconds}s)`)
+      continue
+    }
+    const reason = status !== null ? `exit code ${status}` : signal ? `stopped by ${signal}` : 'could not be run'
+    logError(`${command} failed on ${branch} (${reason})`)
+    if (output.trim()) {
+      log('')
+      output.trimEnd().split('\n').forEach((line) => log(`   ${line}`))
+    }
+    return { command, status, output }
+  }
+  return null
+}
+
+module.exports = {
+  verifyBranch,
+}
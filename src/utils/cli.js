@@ -1,4 +1,82 @@
-const { showConfig, listStacks, loadConfig } = require('./config')
+const { loadConfig } = require('./config')
+const { resolveSettings } = require('./settings')
+const { log, setReporter } = require('./logger')
+const { createReporter } = require('./reporters')
+
+// Options that take a value, mapped to their key in the parsed options
+const VALUE_OPTIONS = {
+  '--strategy': 'strategy',
+  '--origin-sync': 'originSync',
+  '--push': 'push',
+  '--remove-landed': 'removeLanded',
+  '--remote': 'remote',
+  '--base-remote': 'baseRemote',
+  '--keep': 'keep',
+  '--from-prs': 'fromPrs',
+  '--stack': 'stackName',
+  '--after': 'after',
+  '--parent': 'parent',
+  '--description': 'description',
+  '--on-verify-failure': 'verifyFailure',
+}
+
+// Options that can be given more than once, collecting their values in a list
+const LIST_OPTIONS = {
+  '--verify': 'verify',
+}
+
+// Flags that don't take a value
+const BOOLEAN_OPTIONS = {
+  '--continue': 'continue',
+  '--abort': 'abort',
+  '--yes': 'yes',
+  '-y': 'yes',
+  '--non-interactive': 'nonInteractive',
+  '--force-with-lease': 'forceWithLease',
+  '--atomic': 'atomic',
+  '--prs': 'pullRequests',
+  '--json': 'json',
+  '--ndjson': 'ndjson',
+  '--infer': 'infer',
+  '--strict': 'strictMode',
+  '--pre-conflict-check': 'preConflictCheck',
+  '--auto-push': 'autoPush',
+  '--worktree': 'worktree',
+  '--include-untracked': 'includeUntracked',
+}
+
+// Flags that turn a setting off, overriding the config and the environment
+const NEGATED_OPTIONS = {
+  '--no-strict': 'strictMode',
+  '--no-pre-conflict-check': 'preConflictCheck',
+  '--no-auto-push': 'autoPush',
+  '--no-worktree': 'worktree',
+  '--no-include-untracked': 'includeUntracked',
+  '--no-verify': 'verify',
+  '--no-hooks': 'hooks',
+}
+
+// Subcommands given as the first positional argument; anything else is a stack or branch list to sync
+const COMMANDS = ['status', 'undo', 'backups', 'import', 'infer', 'stack', 'stash-recover']
+// Commands that take their own arguments instead of a stack
+const BACKUP_COMMANDS = ['undo', 'backups']
+// `stack` subcommands, with how many arguments each takes
+const STACK_COMMANDS = {
+  create: { usage: 'stack create <name> <base> <branch>... [--description <text>]', min: 3 },
+  add: { usage: 'stack add <branch> [--after <branch> | --parent <branch>] [--stack <name>]', min: 1, max: 1 },
+  remove: { usage: 'stack remove <branch> [--stack <name>]', min: 1, max: 1 },
+  move: { usage: 'stack move <branch> --after <branch> | --parent <branch> [--stack <name>]', min: 1, max: 1 },
+  rename: { usage: 'stack rename <name> <new-name>', min: 2, max: 2 },
+  'set-default': { usage: 'stack set-default <name>', min: 1, max: 1 },
+  list: { usage: 'stack list', min: 0, max: 0 },
+  show: { usage: 'stack show [name]', min: 0, max: 1 },
+}
+
+const STRATEGIES = ['merge', 'rebase']
+const ORIGIN_SYNC_ANSWERS = ['auto', 'skip', 'abort']
+const PUSH_ANSWERS = ['all', 'none']
+const REMOVE_LANDED_ANSWERS = ['yes', 'no']
+const VERIFY_FAILURE_ANSWERS = ['rollback', 'keep']
 
 // Show help information
 function showHelp() {
@@ -17,8 +95,65 @@ function showHelp() {
   console.log('  npx stacked-pr-sync my-stack')
   console.log('  npx stacked-pr-sync  # uses default stack')
   console.log('')
+  console.log('Commands:')
+  console.log('  status [stack]          Show how each branch compares with origin and its parent (read-only);')
+  console.log('                          exits with 1 when the stack needs a sync')
+  console.log('  undo [id]               Reset every branch, the checkout and the stash to a backup taken before a sync')
+  console.log('                          (default: the latest)')
+  console.log('  backups                 List the backups, newest first')
+  console.log('  backups prune           Delete all but the newest backups (--keep <n>, default 10)')
+  console.log('  stash-recover           List stashes a sync made and never restored, with the commands to restore')
+  console.log('                          them; exits with 1 when there are any')
+  console.log('  import --from-prs <branch> [name]')
+  console.log('                          Save the stack of open pull requests below <branch> (following each base')
+  console.log('                          down to the default branch) in stacked-pr-config.json')
+  console.log('  infer                   Show the stack the current branch belongs to, worked out from git history')
+  console.log('  stack list              List the stacks in stacked-pr-config.json')
+  console.log('  stack show [name]       Show one stack, or the whole config')
+  console.log('  stack create <name> <base> <branch>...')
+  console.log('                          Add a stack (--description <text>)')
+  console.log('  stack add <branch>      Add a branch on top of the stack, in between --after <branch> and the one')
+  console.log('                          above it, or as another child of --parent <branch>')
+  console.log('  stack remove <branch>   Take a branch out; the branches on top of it move down onto its parent')
+  console.log('  stack move <branch>     Move a branch in between --after <branch> and the one above it, or onto')
+  console.log('                          --parent <branch> together with the branches on top of it')
+  console.log('  stack rename <name> <new-name>, stack set-default <name>')
+  console.log('                          add, remove and move edit the default stack unless --stack <name> is given')
+  console.log('')
   console.log('Options:')
   console.log('  --help, -h              Show this help message')
+  console.log('  --strategy <name>       How to update child branches: merge (default) or rebase')
+  console.log('  --continue              Resume a sync that stopped on a conflict')
+  console.log('  --abort                 Roll back a stopped sync and restore every branch')
+  console.log('  --infer                 Sync the stack below the current branch, worked out from git history')
+  console.log('  --yes, -y               Answer every question with its default (sync with origin, push all)')
+  console.log('  --origin-sync <answer>  What to do with branches out of sync with origin: auto, skip or abort')
+  console.log('  --push <answer>         Whether to push updated branches: all or none')
+  console.log('  --remove-landed <answer> Whether to drop landed branches from the stack and delete them: yes or no')
+  console.log('  --non-interactive       Never prompt; fail when a question has no preset answer')
+  console.log('  --auto-push             Push every updated branch without asking (same as --push=all)')
+  console.log('  --[no-]pre-conflict-check')
+  console.log('                          Check every merge for conflicts before changing anything (default: on)')
+  console.log('  --[no-]strict           Stop on predicted conflicts and fail the run when a push or pull request')
+  console.log('                          fails (default: on); without it predicted conflicts only warn')
+  console.log('  --remote <name>         Remote the stack branches are pulled from and pushed to (default: origin)')
+  console.log('  --base-remote <name>    Remote of the base branch, e.g. upstream when working from a fork')
+  console.log('  --[no-]worktree         Check out and merge in a temporary worktree: no stash, and your checkout')
+  console.log('                          is left alone (a branch checked out there is only fast-forwarded)')
+  console.log('  --verify <command>      Run a check (e.g. "npm test") on each branch after it is updated; stop the')
+  console.log('                          sync there when it fails. Give it more than once for several checks')
+  console.log('  --no-verify             Skip the verify commands from the config')
+  console.log('  --on-verify-failure <answer>')
+  console.log('                          What to do with an update that fails verification: rollback or keep')
+  console.log('  --no-hooks              Skip the preSync, postMerge, prePush and postSync hooks from the config')
+  console.log('  --[no-]include-untracked')
+  console.log('                          Stash untracked files too before a sync (default: off)')
+  console.log('  --force-with-lease      Push every branch with a lease on the origin SHA seen before the sync')
+  console.log('  --atomic                Push the whole stack in one transaction: all branches or none')
+  console.log('  --prs                   After pushing, create or retarget a GitHub pull request for each branch')
+  console.log('                          and add a stack table to each one (token from GITHUB_TOKEN)')
+  console.log('  --json                  Print a single JSON summary of the run on stdout')
+  console.log('  --ndjson                Stream one JSON event per line on stdout as the sync runs')
   console.log('')
   console.log('Quick Start:')
   console.log('  1. Install: npm install stacked-pr-sync')
@@ -26,27 +161,52 @@ function showHelp() {
   console.log('  3. That\'s it! 🎉')
   console.log('')
   console.log('Configuration (optional):')
-  console.log('  Create stacked-pr-config.json to define reusable stacks')
+  console.log('  Create stacked-pr-config.json (or .stackedprrc, or a "stackedPrSync" key in package.json) to define')
+  console.log('  reusable stacks. It is looked for from the current directory up to the repository root.')
+  console.log('  Settings: defaults < config settings < stack settings < STACKED_PR_SYNC_* variables < flags')
 }
 
-// Parse command line arguments
-function parseArguments() {
-  const args = process.argv.slice(2)
+// Split raw arguments into option values and positional arguments
+function extractOptions(args) {
+  const options = {}
+  const positional = []
 
-  // Check for help flag
-  if (args.includes('--help') || args.includes('-h')) {
-    showHelp()
-    process.exit(0)
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]
+    const equalsIndex = arg.indexOf('=')
+    const flag = equalsIndex === -1 ? arg : arg.slice(0, equalsIndex)
+
+    if (VALUE_OPTIONS[flag] || LIST_OPTIONS[flag]) {
+      const value = equalsIndex === -1 ? args[++i] : arg.slice(equalsIndex + 1)
+      if (!value || value.startsWith('-')) {
+        throw new Error(`Missing value for ${flag}`)
+      }
+      if (LIST_OPTIONS[flag]) {
+        options[LIST_OPTIONS[flag]] = [...(options[LIST_OPTIONS[flag]] || []), value]
+      } else {
+        options[VALUE_OPTIONS[flag]] = value
+      }
+    } else if (BOOLEAN_OPTIONS[arg]) {
+      options[BOOLEAN_OPTIONS[arg]] = true
+    } else if (NEGATED_OPTIONS[arg]) {
+      options[NEGATED_OPTIONS[arg]] = false
+    } else {
+      positional.push(arg)
+    }
   }
 
-  const filteredArgs = args.filter((arg) => !['--help', '-h'].includes(arg))
+  return { options, positional }
+}
 
+// Resolve the branch list from positional arguments or the config file
+function resolveBranches(filteredArgs) {
   // If no arguments provided, try to use default stack
   if (filteredArgs.length === 0) {
     const config = loadConfig()
     if (config && config.defaultStack && config.stacks[config.defaultStack]) {
-      console.log(`📋 Using default stack: ${config.defaultStack}`)
-      return config.stacks[config.defaultStack].branches
+      log(`📋 Using default stack: ${config.defaultStack}`)
+      const stackName = config.defaultStack
+      return { branches: config.stacks[stackName].branches, stack: config.stacks[stackName], stackName }
     } else {
       console.log('❌ No branches specified and no default stack found.')
       console.log('')
@@ -64,18 +224,138 @@ function parseArguments() {
   if (filteredArgs.length === 1 && !filteredArgs[0].startsWith('-')) {
     const config = loadConfig()
     if (config && config.stacks[filteredArgs[0]]) {
-      console.log(`📋 Using stack: ${filteredArgs[0]}`)
-      return config.stacks[filteredArgs[0]].branches
+      log(`📋 Using stack: ${filteredArgs[0]}`)
+      const stackName = filteredArgs[0]
+      return { branches: config.stacks[stackName].branches, stack: config.stacks[stackName], stackName }
     } else {
       // If not a stack name, treat as branch list
-      console.log(`📋 Using branches: ${filteredArgs.join(' → ')}`)
-      return filteredArgs
+      log(`📋 Using branches: ${filteredArgs.join(' → ')}`)
+      return { branches: filteredArgs, stack: null, stackName: null }
     }
   }
 
   // Use command line arguments as branches
-  console.log(`📋 Using branches: ${filteredArgs.join(' → ')}`)
-  return filteredArgs
+  log(`📋 Using branches: ${filteredArgs.join(' → ')}`)
+  return { branches: filteredArgs, stack: null, stackName: null }
+}
+
+// Pick the reporter for --json / --ndjson (human output otherwise)
+function resolveReporter(options) {
+  if (options.json && options.ndjson) {
+    throw new Error('--json and --ndjson cannot be used together')
+  }
+  if (options.json) {
+    return createReporter('json')
+  }
+  return createReporter(options.ndjson ? 'ndjson' : 'human')
+}
+
+// Check the values given to flags; values from the config and the environment are checked where they're read
+function validateOptionValues(options) {
+  if (options.strategy !== undefined && !STRATEGIES.includes(options.strategy)) {
+    throw new Error(`Unknown strategy "${options.strategy}". Use one of: ${STRATEGIES.join(', ')}`)
+  }
+  if (options.originSync !== undefined && !ORIGIN_SYNC_ANSWERS.includes(options.originSync)) {
+    throw new Error(`Unknown --origin-sync answer "${options.originSync}". Use one of: ${ORIGIN_SYNC_ANSWERS.join(', ')}`)
+  }
+  if (options.push !== undefined && !PUSH_ANSWERS.includes(options.push)) {
+    throw new Error(`Unknown --push answer "${options.push}". Use one of: ${PUSH_ANSWERS.join(', ')}`)
+  }
+  if (options.removeLanded !== undefined && !REMOVE_LANDED_ANSWERS.includes(options.removeLanded)) {
+    throw new Error(
+      `Unknown --remove-landed answer "${options.removeLanded}". Use one of: ${REMOVE_LANDED_ANSWERS.join(', ')}`
+    )
+  }
+  if (options.verifyFailure !== undefined && !VERIFY_FAILURE_ANSWERS.includes(options.verifyFailure)) {
+    throw new Error(
+      `Unknown --on-verify-failure answer "${options.verifyFailure}". Use one of: ${VERIFY_FAILURE_ANSWERS.join(', ')}`
+    )
+  }
+}
+
+// Check a `stack` subcommand's arguments before anything is read or written
+function validateStackCommand([subcommand, ...args], options) {
+  const spec = STACK_COMMANDS[subcommand]
+  if (!spec) {
+    throw new Error(`Unknown stack command "${subcommand || ''}". Use one of: ${Object.keys(STACK_COMMANDS).join(', ')}`)
+  }
+  const missingPlacement = subcommand === 'move' && !options.after && !options.parent
+  if (args.length < spec.min || (spec.max !== undefined && args.length > spec.max) || missingPlacement) {
+    throw new Error(`Usage: npx stacked-pr-sync ${spec.usage}`)
+  }
+  if (options.after && options.parent) {
+    throw new Error('--after and --parent cannot be used together')
+  }
+
+  // A stack named like a command could never be synced by name
+  const newName = { create: args[0], rename: args[1] }[subcommand]
+  if (newName !== undefined && (COMMANDS.includes(newName) || newName.startsWith('-'))) {
+    throw new Error(`"${newName}" cannot be used as a stack name`)
+  }
+}
+
+// Parse command line arguments
+function parseArguments() {
+  const args = process.argv.slice(2)
+
+  // Check for help flag
+  if (args.includes('--help') || args.includes('-h')) {
+    showHelp()
+    process.exit(0)
+  }
+
+  const { options, positional } = extractOptions(args)
+  // Set before anything is printed so machine output stays clean from the first line
+  setReporter(resolveReporter(options))
+
+  // --continue and --abort work from the saved sync state, not from a branch list
+  if (options.continue && options.abort) {
+    throw new Error('--continue and --abort cannot be used together')
+  }
+  validateOptionValues(options)
+  if (options.continue || options.abort) {
+    return { command: 'sync', branches: [], options: { ...options, ...resolveSettings(options) } }
+  }
+
+  const command = COMMANDS.includes(positional[0]) ? positional.shift() : 'sync'
+  if (BACKUP_COMMANDS.includes(command)) {
+    if (options.keep !== undefined && !/^\d+$/.test(options.keep)) {
+      throw new Error(`--keep needs a number of backups, got "${options.keep}"`)
+    }
+    const keep = Number(options.keep || 10)
+    return { command, branches: [], args: positional, options: { ...options, ...resolveSettings(options), keep } }
+  }
+  if (command === 'stash-recover') {
+    return { command, branches: [], args: positional, options }
+  }
+  if (command === 'stack') {
+    validateStackCommand(positional, options)
+    return { command, branches: [], args: positional, options }
+  }
+  if (command === 'import') {
+    if (!options.fromPrs) {
+      throw new Error('import needs the top branch of the stack: import --from-prs <branch> [stack-name]')
+    }
+    const settings = resolveSettings(options)
+    return { command, branches: [], args: positional, options: { ...options, ...settings, name: positional[0] } }
+  }
+  const filteredArgs = positional.filter((arg) => !['--help', '-h'].includes(arg))
+
+  // An inferred stack is worked out from history once the branches can be looked at (see inferStack)
+  const infer = command === 'infer' || Boolean(options.infer)
+  if (infer && filteredArgs.length > 0) {
+    throw new Error('--infer works out the branches itself; leave out the stack or branch list')
+  }
+  const resolved = infer ? { branches: [], stack: null, stackName: null } : resolveBranches(filteredArgs)
+  const { branches, stack } = resolved
+  const stackName = resolved.stackName || options.stackName
+
+  // Flags win over the environment, the stack's own settings and the config settings (see resolveSettings)
+  const settings = resolveSettings({ ...options, stackName }, { branches })
+  // A stack that forks names the parent of each branch that isn't built on the one listed before it
+  const parents = (stack && stack.parents) || {}
+
+  return { command, branches, options: { ...options, ...settings, stackName, infer, parents } }
 }
 
 module.exports = {
@@ -0,0 +1,169 @@
+const { resolveStackTree } = require('./stack-tree')
+
+// An on/off setting: { "enabled": true, "description": "..." }
+const TOGGLE = {
+  type: 'object',
+  properties: { enabled: { type: 'boolean' }, description: { type: 'string' } },
+  required: ['enabled'],
+}
+
+// Shell commands run at one point of a sync, in order
+const HOOK_COMMANDS = { type: 'array', items: { type: 'string', minLength: 1 } }
+
+// Settings can be given for the whole repository and again per stack
+const SETTINGS = {
+  type: 'object',
+  properties: {
+    preConflictCheck: TOGGLE,
+    autoPush: TOGGLE,
+    strictMode: TOGGLE,
+    nonInteractive: TOGGLE,
+    worktree: TOGGLE,
+    includeUntracked: TOGGLE,
+    verify: {
+      type: 'object',
+      properties: {
+        commands: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1 },
+        description: { type: 'string' },
+      },
+      required: ['commands'],
+    },
+    hooks: {
+      type: 'object',
+      properties: {
+        preSync: HOOK_COMMANDS,
+        postMerge: HOOK_COMMANDS,
+        prePush: HOOK_COMMANDS,
+        postSync: HOOK_COMMANDS,
+        plugins: { type: 'array', items: { type: 'string', minLength: 1 } },
+        description: { type: 'string' },
+      },
+    },
+    pullRequests: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        apiUrl: { type: 'string' },
+        tokenEnv: { type: 'string' },
+        repository: { type: 'string', pattern: /^[^/\s]+\/[^/\s]+$/, patternHint: 'owner/repo' },
+        description: { type: 'string' },
+      },
+    },
+    answers: {
+      type: 'object',
+      properties: {
+        originSync: { type: 'string', enum: ['auto', 'skip', 'abort'] },
+        push: { type: 'string', enum: ['all', 'none'] },
+        removeLanded: { type: 'string', enum: ['yes', 'no'] },
+        verifyFailure: { type: 'string', enum: ['rollback', 'keep'] },
+        description: { type: 'string' },
+      },
+    },
+  },
+}
+
+const STACK = {
+  type: 'object',
+  properties: {
+    description: { type: 'string' },
+    branches: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 2, uniqueItems: true },
+    parents: { type: 'object', additionalProperties: { type: 'string', minLength: 1 } },
+    strategy: { type: 'string', enum: ['merge', 'rebase'] },
+    remote: { type: 'string', minLength: 1 },
+    baseRemote: { type: 'string', minLength: 1 },
+    settings: SETTINGS,
+  },
+  required: ['branches'],
+}
+
+// The whole config, wherever it comes from (stacked-pr-config.json, .stackedprrc or package.json)
+const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    $schema: { type: 'string' },
+    stacks: { type: 'object', additionalProperties: STACK },
+    defaultStack: { type: 'string' },
+    settings: SETTINGS,
+  },
+}
+
+// JSON type of a value, telling arrays and null apart from objects
+function typeOf(value) {
+  if (value === null) {
+    return 'null'
+  }
+  return Array.isArray(value) ? 'array' : typeof value
+}
+
+// Check a value against a schema, adding { path, message, key } to `problems` for everything wrong with it
+function checkValue(schema, value, path, problems) {
+  if (typeOf(value) !== schema.type) {
+    problems.push({ path, message: `must be ${/^[aeiou]/.test(schema.type) ? 'an' : 'a'} ${schema.type}` })
+    return
+  }
+
+  if (schema.type === 'object') {
+    for (const required of schema.required || []) {
+      if (value[required] === undefined) {
+        problems.push({ path, message: `is missing "${required}"` })
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = (schema.properties && schema.properties[key]) || schema.additionalProperties
+      if (childSchema) {
+        checkValue(childSchema, child, [...path, key], problems)
+      } else {
+        const known = Object.keys(schema.properties || {}).join(', ')
+        problems.push({ path: [...path, key], key: true, message: `is not a known key (expected one of: ${known})` })
+      }
+    }
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      problems.push({ path, message: `needs at least ${schema.minItems} entries` })
+    }
+    value.forEach((item, index) => {
+      if (schema.uniqueItems && value.indexOf(item) !== index) {
+        problems.push({ path: [...path, index], message: `repeats ${JSON.stringify(item)}` })
+      }
+      checkValue(schema.items, item, [...path, index], problems)
+    })
+  }
+
+  if (schema.type === 'string') {
+    if (schema.minLength && value.length < schema.minLength) {
+      problems.push({ path, message: 'must not be empty' })
+    } else if (schema.enum && !schema.enum.includes(value)) {
+      problems.push({ path, message: `must be one of: ${schema.enum.join(', ')} (got "${value}")` })
+    } else if (schema.pattern && !schema.pattern.test(value)) {
+      problems.push({ path, message: `must look like ${schema.patternHint} (got "${value}")` })
+    }
+  }
+}
+
+// Everything wrong with a config: schema violations first, then references that don't resolve
+function validateConfig(config) {
+  const problems = []
+  checkValue(CONFIG_SCHEMA, config, [], problems)
+  if (problems.length > 0) {
+    return problems
+  }
+
+  const stacks = config.stacks || {}
+  if (config.defaultStack !== undefined && !stacks[config.defaultStack]) {
+    problems.push({ path: ['defaultStack'], message: `names a stack that doesn't exist ("${config.defaultStack}")` })
+  }
+  for (const [name, stack] of Object.entries(stacks)) {
+    try {
+      resolveStackTree(stack.branches, stack.parents)
+    } catch (error) {
+      problems.push({ path: ['stacks', name, 'parents'], message: error.message })
+    }
+  }
+  return problems
+}
+
+module.exports = {
+  validateConfig,
+}
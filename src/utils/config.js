@@ -1,112 +1,332 @@
 const fs = require('fs')
 const path = require('path')
-const { logWarning } = require('./logger')
+const { runGit } = require('./git-runner')
+const { ConfigError } = require('./errors')
+const { parseJsonSource, updateJsonSource, formatPath } = require('./json-source')
+const { validateConfig } = require('./config-schema')
+const { resolveStackTree, drawStackTree } = require('./stack-tree')
+const { log, logError } = require('./logger')
 
-// Load configuration file
-function loadConfig() {
-  // Look for config in current working directory
-  const configPath = path.join(process.cwd(), 'stacked-pr-config.json')
+// Files the config can live in, in the order they're looked for in each directory
+const CONFIG_FILE = 'stacked-pr-config.json'
+const RC_FILE = '.stackedprrc'
+// ...or under this key of package.json
+const PACKAGE_KEY = 'stackedPrSync'
 
-  if (!fs.existsSync(configPath)) {
-    return null
+const MISSING_CONFIG_HINT =
+  'Create stacked-pr-config.json, or run: npx stacked-pr-sync stack create <name> <base> <branch>...'
+
+// Top of the working tree the current directory is in, or null outside a repository
+function getRepositoryRoot() {
+  const { stdout, status } = runGit(['rev-parse', '--show-toplevel'], { allowFailure: true })
+  return status === 0 ? path.resolve(stdout.trim()) : null
+}
+
+// Find the config: look in the current directory, then each parent up to the repository root, for
+// stacked-pr-config.json, .stackedprrc or a "stackedPrSync" key in package.json. The nearest wins.
+// Returns { path, key } (key is set for package.json), or null when there is none.
+function findConfigFile() {
+  const root = getRepositoryRoot()
+  let directory = process.cwd()
+
+  for (;;) {
+    for (const name of [CONFIG_FILE, RC_FILE]) {
+      if (fs.existsSync(path.join(directory, name))) {
+        return { path: path.join(directory, name), key: null }
+      }
+    }
+    const packagePath = path.join(directory, 'package.json')
+    if (fs.existsSync(packagePath) && fs.readFileSync(packagePath, 'utf8').includes(`"${PACKAGE_KEY}"`)) {
+      return { path: packagePath, key: PACKAGE_KEY }
+    }
+
+    const parent = path.dirname(directory)
+    if (!root || directory === root || parent === directory) {
+      return null
+    }
+    directory = parent
   }
+}
+
+// Where the config file is, or where a new one would be created (the repository root)
+function getConfigPath() {
+  const found = findConfigFile()
+  return found ? found.path : path.join(getRepositoryRoot() || process.cwd(), CONFIG_FILE)
+}
 
+// Read and validate a config file. Syntax errors and schema problems are thrown as a ConfigError that
+// points at the line and column of each one. Returns the raw text, the parsed file and the config in it.
+function readConfigFile({ path: file, key }) {
+  const raw = fs.readFileSync(file, 'utf8')
+  let parsed
   try {
-    const configData = fs.readFileSync(configPath, 'utf8')
-    const config = JSON.parse(configData)
-    
-    // Set default settings if not present
-    if (!config.settings) {
-      config.settings = {
-        preConflictCheck: { enabled: true, description: 'Enable pre-conflict detection before starting sync' },
-        autoPush: { enabled: false, description: 'Automatically push changes after successful sync' },
-        strictMode: { enabled: true, description: 'Strict mode - abort on any conflicts or errors' },
-      }
+    parsed = parseJsonSource(raw)
+  } catch (error) {
+    throw new ConfigError(file, [{ path: null, line: error.line, column: error.column, message: error.reason }])
+  }
+
+  const config = key ? parsed.value[key] : parsed.value
+  const problems = validateConfig(config).map((problem) => ({
+    ...parsed.locate(key ? [key, ...problem.path] : problem.path, { key: problem.key }),
+    path: formatPath(key ? [key, ...problem.path] : problem.path) || 'config',
+    message: problem.message,
+  }))
+  if (problems.length > 0) {
+    throw new ConfigError(file, problems)
+  }
+  return { raw, data: parsed.value, config }
+}
+
+// Load the config (see findConfigFile), or null when there is none. Throws a ConfigError when it's invalid.
+function loadConfig() {
+  const found = findConfigFile()
+  return found ? readConfigFile(found).config : null
+}
+
+// Print settings: on/off toggles show their state, value settings show their values. Everything here is printed
+// through the logger, so machine output (--json, --ndjson) keeps stdout for its document.
+function printSettings(settings) {
+  Object.keys(settings).forEach((setting) => {
+    const { description, enabled, ...values } = settings[setting]
+    if (enabled !== undefined) {
+      log(`  ${setting}: ${enabled ? '✓ Enabled' : '✗ Disabled'}`)
+    } else {
+      const valueText = Object.keys(values).map((key) => `${key}=${values[key]}`).join(', ')
+      log(`  ${setting}: ${valueText || 'not set'}`)
     }
-    
-    return config
+    if (description) {
+      log(`    ${description}`)
+    }
+  })
+}
+
+// Print a stack's branches: a chain on one line, a stack that forks as a tree
+function printStackBranches(stackConfig) {
+  if (!stackConfig.parents || Object.keys(stackConfig.parents).length === 0) {
+    log(`    Branches: ${stackConfig.branches.join(' → ')}`)
+    return
+  }
+
+  try {
+    const { branches, parents } = resolveStackTree(stackConfig.branches, stackConfig.parents)
+    log('    Branches:')
+    drawStackTree(branches, parents).forEach((line) => log(`      ${line}`))
   } catch (error) {
-    logWarning('Failed to load config file, using command line arguments')
+    log(`    Branches: ${stackConfig.branches.join(', ')}`)
+    log(`    ⚠ ${error.message}`)
+  }
+}
+
+// Print one stack: name, description, branches and whether it's the default
+function printStack(config, stack) {
+  const stackConfig = config.stacks[stack]
+  log(`  ${stack}${stackConfig.description ? `: ${stackConfig.description}` : ''}`)
+  printStackBranches(stackConfig)
+  if (config.defaultStack === stack) {
+    log('    (default)')
+  }
+}
+
+// Show one stack (the default stack when no name is given) with the settings it overrides.
+// Returns { name, stack }, or null when there is no such stack.
+function showStack(stackName) {
+  const config = loadConfig()
+  const stack = stackName || (config && config.defaultStack)
+  if (!config) {
+    logError('No configuration file found')
+    log(MISSING_CONFIG_HINT)
+    return null
+  }
+  if (!config.stacks || !config.stacks[stack]) {
+    logError(stack ? `No stack named "${stack}"` : 'No stack given and no default stack set')
+    log('See the stacks with: npx stacked-pr-sync stack list')
     return null
   }
+
+  printStack(config, stack)
+  const stackConfig = config.stacks[stack]
+  for (const key of ['strategy', 'remote', 'baseRemote']) {
+    if (stackConfig[key]) {
+      log(`    ${key}: ${stackConfig[key]}`)
+    }
+  }
+  return { name: stack, stack: stackConfig }
 }
 
-// Show detailed configuration
+// Show detailed configuration. Returns { file, config }, or null when there is no config.
 function showConfig() {
   const config = loadConfig()
 
   if (!config) {
-    console.error('No configuration file found')
-    console.log('Create scripts/stacked-pr-config.json to define your stacks')
-    return
+    logError('No configuration file found')
+    log(MISSING_CONFIG_HINT)
+    return null
   }
 
-  console.log('Stacked PR Sync Configuration')
-  console.log('==============================')
-  console.log('')
+  log('Stacked PR Sync Configuration')
+  log('==============================')
+  log(`File: ${getConfigPath()}`)
+  log('')
   
-  console.log('Stacks:')
-  Object.keys(config.stacks).forEach((stack) => {
-    const stackConfig = config.stacks[stack]
-    console.log(`  ${stack}: ${stackConfig.description}`)
-    console.log(`    Branches: ${stackConfig.branches.join(' → ')}`)
-    if (config.defaultStack === stack) {
-      console.log('    (default)')
-    }
-    console.log('')
+  log('Stacks:')
+  Object.keys(config.stacks || {}).forEach((stack) => {
+    printStack(config, stack)
+    log('')
   })
 
   if (config.settings) {
-    console.log('Settings:')
-    Object.keys(config.settings).forEach((setting) => {
-      const settingConfig = config.settings[setting]
-      const status = settingConfig.enabled ? '✓ Enabled' : '✗ Disabled'
-      console.log(`  ${setting}: ${status}`)
-      console.log(`    ${settingConfig.description}`)
-    })
-    console.log('')
+    log('Settings:')
+    printSettings(config.settings)
+    log('')
   }
 
-  console.log('Default Stack:')
-  console.log(`  ${config.defaultStack || 'None'}`)
+  log('Default Stack:')
+  log(`  ${config.defaultStack || 'None'}`)
+  return { file: getConfigPath(), config }
 }
 
-// List available stacks
+// List available stacks. Returns { stacks, defaultStack } (no stacks when there is no config).
 function listStacks() {
   const config = loadConfig()
 
   if (!config) {
-    console.error('No configuration file found')
-    console.log('Create scripts/stacked-pr-config.json to define your stacks')
-    return
+    logError('No configuration file found')
+    log(MISSING_CONFIG_HINT)
+    return { stacks: {}, defaultStack: null }
   }
 
-  console.log('Available stacks:')
-  Object.keys(config.stacks).forEach((stack) => {
-    const stackConfig = config.stacks[stack]
-    console.log(`  ${stack}: ${stackConfig.description}`)
-    console.log(`    Branches: ${stackConfig.branches.join(' → ')}`)
-    if (config.defaultStack === stack) {
-      console.log('    (default)')
-    }
-    console.log('')
+  log('Available stacks:')
+  Object.keys(config.stacks || {}).forEach((stack) => {
+    printStack(config, stack)
+    log('')
   })
 
   // Show settings if available
   if (config.settings) {
-    console.log('Configuration Settings:')
-    Object.keys(config.settings).forEach((setting) => {
-      const settingConfig = config.settings[setting]
-      const status = settingConfig.enabled ? '✓ Enabled' : '✗ Disabled'
-      console.log(`  ${setting}: ${status}`)
-      console.log(`    ${settingConfig.description}`)
-    })
-    console.log('')
+    log('Configuration Settings:')
+    printSettings(config.settings)
+    log('')
   }
+  return { stacks: config.stacks || {}, defaultStack: config.defaultStack || null }
+}
+
+// Find the name of the configured stack with exactly these branches, if any
+function findStackName(config, branches) {
+  if (!config || !config.stacks) {
+    return null
+  }
+  const names = Object.keys(config.stacks)
+  return names.find((name) => config.stacks[name].branches.join(' ') === branches.join(' ')) || null
+}
+
+// Keys whose list or object the file writes on a single line, e.g. "branches": ["main", "feature"]
+function findInlineKeys(raw) {
+  const keys = new Set()
+  for (const match of raw.matchAll(/"((?:[^"\\\n]|\\.)*)"\s*:\s*[[{][^[\]{}\n]*[\]}]/g)) {
+    keys.add(match[1])
+  }
+  return keys
+}
+
+// Write a value on one line: ["main", "feature"], { "feature": "main" }
+function formatInline(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(formatInline).join(', ')}]`
+  }
+  if (value !== null && typeof value === 'object') {
+    const members = Object.keys(value).map((key) => `${JSON.stringify(key)}: ${formatInline(value[key])}`)
+    return members.length > 0 ? `{ ${members.join(', ')} }` : '{}'
+  }
+  return JSON.stringify(value)
+}
+
+// Write a value in the file's style: its indentation, and the lists and objects it keeps on one line
+function formatConfigValue(value, { key, inline, indent, inlineKeys }) {
+  if (inline || (inlineKeys.has(key) && value !== null && typeof value === 'object')) {
+    return formatInline(value)
+  }
+  return JSON.stringify(value, null, indent).replace(
+    /"((?:[^"\\\n]|\\.)*)": ([[{])\n([^[\]{}]*?)\n[ \t]*[\]}]/g,
+    (match, member, open, body) => {
+      if (!inlineKeys.has(member)) {
+        return match
+      }
+      const items = body.split(/,\n/).map((item) => item.trim())
+      return open === '[' ? `"${member}": [${items.join(', ')}]` : `"${member}": { ${items.join(', ')} }`
+    }
+  )
+}
+
+// Write the config back into the file it was read from, rewriting only the values that changed, in the file's
+// style (see formatConfigValue). The rest of the file is left exactly as it was.
+function writeConfigFile(file, config, raw) {
+  const indentMatch = raw.match(/^[ \t]+(?=")/m)
+  const indent = indentMatch ? indentMatch[0] : 2
+  const inlineKeys = findInlineKeys(raw)
+  const format = (value, { key, inline }) => formatConfigValue(value, { key, inline, indent, inlineKeys })
+  fs.writeFileSync(file, updateJsonSource(raw, config, format))
+}
+
+// Read the config file, let `edit` change it, and write it back in the file's own style; nothing is
+// written when `edit` throws. Starts from an empty config when there is no file yet. Returns what `edit` returns.
+function editConfig(edit) {
+  const found = findConfigFile()
+  const { raw, data } = found ? readConfigFile(found) : { raw: '{}\n', data: {} }
+  const key = found && found.key
+  const config = key ? data[key] : data
+  const before = JSON.stringify(config)
+
+  const result = edit(config)
+  if (JSON.stringify(config) !== before) {
+    writeConfigFile(found ? found.path : getConfigPath(), data, raw)
+  }
+  return result
+}
+
+// Remove a branch from a stack in the config file, keeping the file's indentation. Returns whether it changed.
+function removeBranchFromStack(stackName, branch) {
+  return editConfig((config) => {
+    const stack = config.stacks && config.stacks[stackName]
+    if (!stack || !stack.branches.includes(branch)) {
+      return false
+    }
+
+    // Branches built on the removed one move down onto its parent
+    const index = stack.branches.indexOf(branch)
+    const previous = stack.branches[index - 1]
+    const next = stack.branches[index + 1]
+    if (stack.parents) {
+      const parent = stack.parents[branch] || previous
+      delete stack.parents[branch]
+      if (next && !stack.parents[next] && parent !== previous) {
+        stack.parents[next] = parent
+      }
+      Object.keys(stack.parents).forEach((child) => {
+        if (stack.parents[child] === branch) {
+          stack.parents[child] = parent
+        }
+      })
+    }
+    stack.branches = stack.branches.filter((name) => name !== branch)
+    return true
+  })
+}
+
+// Add or replace a stack in the config file, creating the file if there is none yet
+function saveStack(stackName, stack) {
+  editConfig((config) => {
+    config.stacks = { ...config.stacks, [stackName]: stack }
+  })
 }
 
 module.exports = {
   loadConfig,
+  getConfigPath,
+  findStackName,
+  editConfig,
+  removeBranchFromStack,
+  saveStack,
   showConfig,
+  showStack,
   listStacks,
 } 
@@ -0,0 +1,161 @@
+// Base class for every error the sync raises, so callers can tell them apart from bugs
+class StackedPRSyncError extends Error {
+  constructor(message, code, details = {}) {
+    super(message)
+    this.name = this.constructor.name
+    this.code = code
+    Object.assign(this, details)
+  }
+}
+
+// Not inside a git repository
+class NotAGitRepositoryError extends StackedPRSyncError {
+  constructor() {
+    super('Not in a git repository. Please run this script from a git repository.', 'NOT_A_GIT_REPOSITORY')
+  }
+}
+
+// Uncommitted changes that could not be moved out of the way
+class DirtyWorktreeError extends StackedPRSyncError {
+  constructor(message) {
+    super(message, 'DIRTY_WORKTREE')
+  }
+}
+
+// A stack branch that exists neither locally nor on its remote
+class BranchNotFoundError extends StackedPRSyncError {
+  constructor(branch) {
+    super(`Branch not found locally or on its remote: ${branch}`, 'BRANCH_NOT_FOUND', { branch })
+  }
+}
+
+// Merge/rebase conflicts, either predicted by the pre-check or hit during the sync.
+// `phase` is 'pre-check' (nothing changed yet) or 'sync' (paused; continue or abort).
+class ConflictError extends StackedPRSyncError {
+  constructor(message, details) {
+    super(message, 'CONFLICT', details)
+  }
+}
+
+// A branch could not be updated for a reason other than conflicts
+class UpdateFailedError extends StackedPRSyncError {
+  constructor(branch, sourceBranch, strategy) {
+    super(`Failed to ${strategy} changes from ${sourceBranch} into ${branch}`, 'UPDATE_FAILED', {
+      branch,
+      sourceBranch,
+      strategy,
+    })
+  }
+}
+
+// A verify command failed on a branch the sync had just updated; the sync is paused on that branch
+class VerifyError extends StackedPRSyncError {
+  constructor(branch, command, status) {
+    const reason = status === null ? 'could not be run' : `exited with ${status}`
+    super(`Verification failed on ${branch}: ${command} ${reason}`, 'VERIFY_FAILED', { branch, command, status })
+  }
+}
+
+// A hook vetoed a step of the sync: `stage` is preSync (nothing changed yet) or postMerge (the update of `branch`
+// was rolled back and the sync is paused on it)
+class HookVetoError extends StackedPRSyncError {
+  constructor(stage, hook, reason, branch = null) {
+    const step = branch ? `the ${stage} step for ${branch}` : `the ${stage} step`
+    super(`${hook} vetoed ${step}: ${reason}`, 'HOOK_VETOED', { stage, hook, reason, branch })
+  }
+}
+
+// Saved sync state doesn't allow the requested action (sync already paused, or nothing to continue)
+class SyncStateError extends StackedPRSyncError {
+  constructor(message) {
+    super(message, 'SYNC_STATE')
+  }
+}
+
+// The user (or a preset answer) chose to stop
+class AbortedError extends StackedPRSyncError {
+  constructor(message = 'Operation aborted by user.') {
+    super(message, 'ABORTED')
+  }
+}
+
+// A git command exited with an error; `reason` is what git printed on stderr
+class GitError extends StackedPRSyncError {
+  constructor(command, { stderr, status }) {
+    const reason = stderr.trim() || `exited with code ${status}`
+    super(`${command} failed: ${reason}`, 'GIT_FAILED', { command, reason, stderr, status })
+  }
+}
+
+// A branch or remote name that git would reject, or that could be mistaken for an option
+class InvalidNameError extends StackedPRSyncError {
+  constructor(kind, name) {
+    super(`Invalid ${kind} name: "${name}"`, 'INVALID_NAME', { kind, name })
+  }
+}
+
+// The pull request provider's API refused a request or could not be reached
+class PullRequestError extends StackedPRSyncError {
+  constructor(message, status) {
+    super(message, 'PULL_REQUEST_FAILED', { status })
+  }
+}
+
+// The config file (or a STACKED_PR_SYNC_* variable) is malformed or breaks the schema.
+// `problems` lists each one as { path, line, column, message }; line and column are null for variables.
+class ConfigError extends StackedPRSyncError {
+  constructor(file, problems) {
+    const lines = problems.map(({ path, line, column, message }) => {
+      const where = line ? `${file}:${line}:${column}` : file
+      return `  ${where}: ${path ? `${path} ` : ''}${message}`
+    })
+    super(`Invalid configuration:\n${lines.join('\n')}`, 'CONFIG_INVALID', { file, problems })
+  }
+}
+
+// A question needed an answer but prompting is disabled
+class NonInteractiveError extends StackedPRSyncError {
+  constructor(message) {
+    super(message, 'NON_INTERACTIVE')
+  }
+}
+
+// The run was stopped by a signal (Ctrl-C, or a kill) and cleaned up after itself; `signal` is SIGINT or SIGTERM
+class InterruptedError extends StackedPRSyncError {
+  constructor(signal) {
+    super(`Interrupted by ${signal}`, 'INTERRUPTED', { signal })
+  }
+}
+
+// Another run is already changing the repository. `holder` is what its lock file says about it.
+class LockedError extends StackedPRSyncError {
+  constructor(lockPath, holder) {
+    const { command, pid, hostname, startedAt } = holder
+    const who = pid ? ` (${command}, pid ${pid} on ${hostname}, since ${startedAt})` : ''
+    super(
+      `Another stacked-pr-sync is already running in this repository${who}. If it is not, delete ${lockPath}`,
+      'LOCKED',
+      { lockPath, holder }
+    )
+  }
+}
+
+module.exports = {
+  StackedPRSyncError,
+  NotAGitRepositoryError,
+  DirtyWorktreeError,
+  BranchNotFoundError,
+  ConflictError,
+  UpdateFailedError,
+  VerifyError,
+  HookVetoError,
+  SyncStateError,
+  AbortedError,
+  GitError,
+  InvalidNameError,
+  PullRequestError,
+  ConfigError,
+  NonInteractiveError,
+  InterruptedError,
+  LockedError,
+}
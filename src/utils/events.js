@@ -0,0 +1,39 @@
+// Progress events emitted while a sync runs, in roughly the order they happen
+const SYNC_EVENTS = [
+  'sync:start',
+  'backup',
+  'branch:status',
+  'origin-sync',
+  'landed',
+  'precheck',
+  'branch:start',
+  'branch:updated',
+  'verify',
+  'hook',
+  'conflict',
+  'push',
+  'pull-request',
+  'sync:complete',
+  'sync:interrupted',
+  'sync:aborted',
+  'sync:undone',
+]
+
+// The EventEmitter passed in the options of the running sync, if any
+let emitter = null
+
+function setEventEmitter(newEmitter) {
+  emitter = newEmitter || null
+}
+
+function emit(name, payload) {
+  if (emitter) {
+    emitter.emit(name, payload)
+  }
+}
+
+module.exports = {
+  SYNC_EVENTS,
+  setEventEmitter,
+  emit,
+}
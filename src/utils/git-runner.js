@@ -0,0 +1,72 @@
+const { spawnSync } = require('child_process')
+const { log, logCommand, commandStdio } = require('./logger')
+const { GitError } = require('./errors')
+const { noteInterrupt } = require('./interrupt')
+
+// Directory git runs in when a command doesn't give its own: the current directory, or the temporary
+// worktree a sync works in (see setWorkTree)
+let workTree = null
+
+// Run every following git command in `dir` (null for the current directory again)
+function setWorkTree(dir) {
+  workTree = dir
+}
+
+// The directory git commands run in, or null for the current directory
+function getWorkTree() {
+  return workTree
+}
+
+// Show an argument list the way it would be typed, quoting anything a shell would split or expand
+function formatCommand(args) {
+  const quoted = args.map((arg) => (/^[\w@%+=:,./{}^~-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, '\'\\\'\'')}'`))
+  return ['git', ...quoted].join(' ')
+}
+
+// Run git with an argument list, never through a shell, and return { stdout, stderr, status }.
+// `show` logs the command and streams its stdout to the log for commands the user should watch; stderr is
+// always captured (and echoed when shown) so a failure can say what git said. Throws a GitError on a
+// non-zero exit unless `allowFailure` is set. `cwd` runs it in another working tree of the repository.
+function runGit(args, { show = false, stream = show, input, env, cwd = workTree, allowFailure = false } = {}) {
+  if (show) {
+    logCommand(formatCommand(args))
+  }
+
+  const result = spawnSync('git', args, {
+    cwd: cwd || undefined,
+    encoding: 'utf8',
+    input,
+    env: env ? { ...process.env, ...env } : process.env,
+    maxBuffer: 256 * 1024 * 1024,
+    stdio: stream ? commandStdio() : [input === undefined ? 'ignore' : 'pipe', 'pipe', 'pipe'],
+  })
+  const output = { stdout: result.stdout || '', stderr: result.stderr || '', status: result.status }
+  // Ctrl-C reaches git as well as us; git dying of it means the whole run was interrupted
+  if (result.signal === 'SIGINT' || result.signal === 'SIGTERM') {
+    noteInterrupt(result.signal)
+  }
+
+  if (stream && output.stderr.trim()) {
+    output.stderr.trimEnd().split('\n').forEach((line) => log(line))
+  }
+  if (result.error) {
+    throw new GitError(formatCommand(args), { ...output, stderr: result.error.message })
+  }
+  if (output.status !== 0 && !allowFailure) {
+    throw new GitError(formatCommand(args), output)
+  }
+  return output
+}
+
+// Run git and return its trimmed stdout
+function readGit(args, options) {
+  return runGit(args, options).stdout.trim()
+}
+
+module.exports = {
+  runGit,
+  readGit,
+  formatCommand,
+  setWorkTree,
+  getWorkTree,
+}
@@ -1,10 +1,30 @@
-const { execSync } = require('child_process')
-const { logStep, logSuccess, logError, logWarning, logInfo, logCommand } = require('./logger')
+const fs = require('fs')
+const path = require('path')
+const { logStep, logSuccess, logError, logWarning, logInfo } = require('./logger')
+const { InvalidNameError } = require('./errors')
+const { runGit, readGit, getWorkTree } = require('./git-runner')
+const { getDefaultRemote, getUpstream, getRemoteRef, getStackRemotes } = require('./remotes')
+
+// Reject a branch name git wouldn't accept (`check-ref-format --branch` also refuses a leading "-")
+function validateBranchName(branchName) {
+  const valid = typeof branchName === 'string' && branchName !== '' && !branchName.startsWith('-')
+  if (!valid || runGit(['check-ref-format', '--branch', branchName], { allowFailure: true }).status !== 0) {
+    throw new InvalidNameError('branch', branchName)
+  }
+}
+
+// Reject a remote name that isn't a valid ref component or could be read as an option (e.g. --upload-pack=...)
+function validateRemoteName(remoteName) {
+  const valid = typeof remoteName === 'string' && remoteName !== '' && !remoteName.startsWith('-')
+  if (!valid || runGit(['check-ref-format', `refs/remotes/${remoteName}/HEAD`], { allowFailure: true }).status !== 0) {
+    throw new InvalidNameError('remote', remoteName)
+  }
+}
 
 // Check if we're in a git repository
 function checkGitRepo() {
   try {
-    execSync('git rev-parse --git-dir', { stdio: 'ignore' })
+    runGit(['rev-parse', '--git-dir'])
     return true
   } catch (error) {
     return false
@@ -14,16 +34,17 @@ function checkGitRepo() {
 // Get current branch name
 function getCurrentBranch() {
   try {
-    return execSync('git branch --show-current', { encoding: 'utf8' }).trim()
+    return readGit(['branch', '--show-current'])
   } catch (error) {
-    throw new Error('Failed to get current branch name')
+    throw new Error(`Failed to get current branch name: ${error.reason || error.message}`)
   }
 }
 
-// Check if working directory is clean (excluding the script files)
-function isWorkingDirectoryClean() {
+// Check if working directory is clean (excluding the script files); untracked files can be left out
+function isWorkingDirectoryClean({ includeUntracked = true } = {}) {
   try {
-    const status = execSync('git status --porcelain', { encoding: 'utf8' })
+    const untracked = includeUntracked ? [] : ['--untracked-files=no']
+    const { stdout: status } = runGit(['status', '--porcelain', ...untracked])
     const lines = status
       .trim()
       .split('\n')
@@ -38,56 +59,57 @@ function isWorkingDirectoryClean() {
 
     return filteredLines.length === 0
   } catch (error) {
-    throw new Error('Failed to check git status')
+    throw new Error(`Failed to check git status: ${error.reason || error.message}`)
   }
 }
 
-// Check if origin remote exists
-function checkOriginExists() {
+// Check if a remote exists (by default the one the stack branches are pushed to)
+function checkRemoteExists(remoteName = getDefaultRemote()) {
   try {
-    execSync('git remote get-url origin', { stdio: 'ignore' })
+    runGit(['remote', 'get-url', remoteName])
     return true
   } catch (error) {
     return false
   }
 }
 
-// Fetch latest changes from remote
+// Fetch latest changes from every remote the stack uses
 function fetchLatest() {
   try {
-    // First check if origin remote exists
-    if (!checkOriginExists()) {
-      logWarning('No origin remote found. Skipping fetch.')
+    const remotes = getStackRemotes().filter((remote) => checkRemoteExists(remote))
+    if (remotes.length === 0) {
+      logWarning(`No ${getStackRemotes().join('/')} remote found. Skipping fetch.`)
       logInfo('This repository appears to be local-only.')
       return false
     }
 
     logStep('Fetching', 'Fetching latest changes from remote...')
-    logCommand('git fetch origin')
-    execSync('git fetch origin', { stdio: 'inherit' })
+    for (const remote of remotes) {
+      runGit(['fetch', remote], { show: true })
+    }
     logSuccess('Fetched latest changes')
     return true
   } catch (error) {
-    logWarning('Fetch failed, but continuing with local branches...')
+    logWarning(`Fetch failed (${error.reason || error.message}), but continuing with local branches...`)
     logInfo('This might be due to network issues, authentication problems, or no remote access.')
     logInfo('The script will continue with your local branch state.')
     return false
   }
 }
 
-// Check if a branch is in sync with origin
+// Check if a branch is in sync with its remote
 function isBranchInSync(branchName) {
   try {
     // Get local commit hash
-    const localCommit = execSync(`git rev-parse ${branchName}`, { encoding: 'utf8' }).trim()
+    const localCommit = readGit(['rev-parse', branchName])
 
     // Check if remote branch exists
     try {
-      const remoteCommit = execSync(`git rev-parse origin/${branchName}`, { encoding: 'utf8' }).trim()
+      const remoteCommit = readGit(['rev-parse', getRemoteRef(branchName)])
       return localCommit === remoteCommit
     } catch (error) {
       // Remote branch doesn't exist, consider it in sync
-      logInfo(`Remote branch origin/${branchName} doesn't exist, skipping sync check`)
+      logInfo(`Remote branch ${getRemoteRef(branchName)} doesn't exist, skipping sync check`)
       return true
     }
   } catch (error) {
@@ -102,29 +124,27 @@ function switchToBranch(branchName) {
     logStep('Switching', `Switching to branch: ${branchName}`)
 
     // Check if branch exists locally
-    try {
-      execSync(`git show-ref --verify --quiet refs/heads/${branchName}`)
-      logCommand(`git checkout ${branchName}`)
-      execSync(`git checkout ${branchName}`, { stdio: 'inherit' })
-    } catch (error) {
+    if (getBranchTip(branchName)) {
+      runGit(['checkout', branchName], { show: true })
+    } else {
       // Branch doesn't exist locally, try to checkout from remote
       logInfo(`Branch ${branchName} doesn't exist locally, checking out from remote...`)
-      logCommand(`git checkout -b ${branchName} origin/${branchName}`)
-      execSync(`git checkout -b ${branchName} origin/${branchName}`, { stdio: 'inherit' })
+      runGit(['checkout', '-b', branchName, getRemoteRef(branchName)], { show: true })
     }
 
     logSuccess(`Switched to branch: ${branchName}`)
   } catch (error) {
-    throw new Error(`Failed to switch to branch: ${branchName}`)
+    throw new Error(`Failed to switch to branch ${branchName}: ${error.reason || error.message}`)
   }
 }
 
 // Merge changes from a source branch locally
-function mergeFromBranch(sourceBranch) {
+function mergeFromBranch(sourceBranch, { into } = {}) {
   try {
     logStep('Merging', `Merging changes from ${sourceBranch}...`)
-    logCommand(`git merge ${sourceBranch}`)
-    execSync(`git merge ${sourceBranch}`, { stdio: 'inherit' })
+    // On a detached HEAD git would call the merge "into HEAD"; `into` names the branch it is for
+    const message = into ? ['-m', `Merge branch '${sourceBranch}' into ${into}`] : []
+    runGit(['merge', ...message, sourceBranch], { show: true })
     logSuccess(`Successfully merged changes from ${sourceBranch}`)
     return true
   } catch (error) {
@@ -134,65 +154,493 @@ function mergeFromBranch(sourceBranch) {
   }
 }
 
-// Check for merge conflicts
-function hasConflicts() {
+// Rebase the current branch onto a new base, replaying only the commits made after the old base
+function rebaseOntoBranch(newBase, oldBase) {
   try {
-    const status = execSync('git status --porcelain', { encoding: 'utf8' })
-    return status.includes('UU') || status.includes('AA') || status.includes('DD')
+    logStep('Rebasing', `Rebasing onto ${newBase}...`)
+    runGit(['rebase', '--onto', newBase, oldBase], { show: true })
+    logSuccess(`Successfully rebased onto ${newBase}`)
+    return true
   } catch (error) {
+    logError(`Failed to rebase onto ${newBase}`)
+    logWarning('This might be due to conflicts. Please resolve conflicts manually and then continue.')
     return false
   }
 }
 
-// Perform dry-run merge to check for potential conflicts
-function performDryRunMerge(sourceBranch, targetBranch) {
-  const tempBranchName = `temp-dry-run-${Date.now()}`
-  let currentBranch = null
+// Resolve a path inside the .git directory (works for worktrees too). With `common`, the path is in the
+// directory every worktree of the repository shares rather than in the current worktree's own.
+function getGitPath(name, { common = false } = {}) {
+  try {
+    const location = common
+      ? path.join(readGit(['rev-parse', '--git-common-dir']), name)
+      : readGit(['rev-parse', '--git-path', name])
+    // git answers relative to the directory it ran in, which is not ours while a sync works in its own worktree
+    return path.resolve(getWorkTree() || '.', location)
+  } catch (error) {
+    throw new Error(`Failed to locate ${name} in the git directory: ${error.reason || error.message}`)
+  }
+}
+
+// Branches checked out in any worktree of the repository, mapped to the worktree's directory
+function getCheckedOutBranches() {
+  const branches = {}
+  let worktree = null
+  readGit(['worktree', 'list', '--porcelain']).split('\n').forEach((line) => {
+    if (line.startsWith('worktree ')) {
+      worktree = line.slice('worktree '.length)
+    } else if (line.startsWith('branch refs/heads/')) {
+      branches[line.slice('branch refs/heads/'.length)] = worktree
+    }
+  })
+  return branches
+}
+
+// Check if a rebase was stopped partway through
+function isRebaseInProgress() {
+  try {
+    return ['rebase-merge', 'rebase-apply'].some((dir) => fs.existsSync(getGitPath(dir)))
+  } catch (error) {
+    return false
+  }
+}
 
+// Check if a merge is waiting to be committed
+function isMergeInProgress() {
   try {
-    logInfo(`Checking potential conflicts: ${sourceBranch} → ${targetBranch}`)
+    return fs.existsSync(getGitPath('MERGE_HEAD'))
+  } catch (error) {
+    return false
+  }
+}
 
-    // Get current branch before starting
-    currentBranch = getCurrentBranch()
+// Check if one commit is contained in another's history
+function isAncestor(ancestor, descendant) {
+  try {
+    runGit(['merge-base', '--is-ancestor', ancestor, descendant])
+    return true
+  } catch (error) {
+    return false
+  }
+}
 
-    // Create a temporary branch for dry-run
-    execSync(`git checkout -b ${tempBranchName} ${targetBranch}`, { stdio: 'ignore' })
+// Get the commit a local branch points to, or null if it doesn't exist locally
+function getBranchTip(branchName) {
+  try {
+    return readGit(['rev-parse', '--verify', '--quiet', `refs/heads/${branchName}`])
+  } catch (error) {
+    return null
+  }
+}
 
-    // Try to merge source into temp branch
-    try {
-      execSync(`git merge ${sourceBranch} --no-commit --no-ff`, { stdio: 'ignore' })
+// Get the commit the remote copy of a branch points to, or null if it was never pushed (or fetched)
+function getRemoteBranchTip(branchName) {
+  try {
+    return readGit(['rev-parse', '--verify', '--quiet', `refs/remotes/${getRemoteRef(branchName)}`])
+  } catch (error) {
+    return null
+  }
+}
+
+// Check if a branch exists locally or can be checked out from its remote
+function branchExists(branchName) {
+  return Boolean(getBranchTip(branchName) || getRemoteBranchTip(branchName))
+}
 
-      // If we get here, no conflicts occurred
-      execSync(`git merge --abort`, { stdio: 'ignore' })
-      return { hasConflicts: false }
-    } catch (mergeError) {
-      // Check if this is a conflict error
-      const status = execSync('git status --porcelain', { encoding: 'utf8' })
-      const hasConflicts = status.includes('UU') || status.includes('AA') || status.includes('DD')
+// Count the commits in a revision range such as `a..b` (rev-list options may come first)
+function countCommits(...revisions) {
+  return parseInt(readGit(['rev-list', '--count', ...revisions]), 10)
+}
 
-      // Clean up temp branch
-      execSync(`git merge --abort`, { stdio: 'ignore' })
+// Count the commits of `head` that have no patch-equivalent commit in `upstream` (what `git cherry` marks with +)
+function countUnpickedCommits(upstream, head) {
+  return countCommits('--cherry-pick', '--right-only', '--no-merges', `${upstream}...${head}`)
+}
 
-      return { hasConflicts, error: mergeError.message }
+// Patch ID of the combined diff between two commits, or null if there is no difference
+function getDiffPatchId(from, to) {
+  const output = readGit(['patch-id', '--stable'], { input: runGit(['diff', from, to]).stdout })
+  return output ? output.split(' ')[0] : null
+}
+
+// Patch IDs of every non-merge commit in a revision range
+function getCommitPatchIds(range) {
+  const output = readGit(['patch-id', '--stable'], { input: runGit(['log', '-p', '--no-merges', range]).stdout })
+  return output ? output.split('\n').map((line) => line.split(' ')[0]) : []
+}
+
+// Point a local branch at a commit, or delete it when there is no commit to restore
+function resetBranch(branchName, commit) {
+  if (commit) {
+    runGit(['branch', '-f', branchName, commit], { show: true })
+  } else if (getBranchTip(branchName)) {
+    runGit(['branch', '-D', branchName], { show: true })
+  }
+}
+
+// Read `git push --porcelain` output into an outcome per branch: `<flag>\t<from>:<to>\t<summary> (<reason>)`
+function parsePushPorcelain(output) {
+  const outcomes = {}
+  output.split('\n').forEach((line) => {
+    const match = line.match(/^(.)\trefs\/heads\/([^:]+):\S*\t(.*)$/)
+    if (!match) {
+      return
     }
+    const [, flag, branch, summary] = match
+    const reason = summary.match(/\(([^)]+)\)\s*$/)
+    outcomes[branch] = { ok: flag !== '!', flag, reason: reason ? reason[1] : summary.trim() }
+  })
+  return outcomes
+}
+
+// Push branches to a remote (each under its upstream name) and report what happened to each one.
+// `leases` maps a branch to the remote SHA it may replace (--force-with-lease); `atomic` pushes all or nothing.
+function pushToRemote(remote, branches, { leases = {}, setUpstream = false, atomic = false } = {}) {
+  const flags = ['--porcelain']
+  if (atomic) {
+    flags.push('--atomic')
+  }
+  if (setUpstream) {
+    flags.push('-u')
+  }
+  Object.keys(leases).forEach((branch) => flags.push(`--force-with-lease=${getUpstream(branch).name}:${leases[branch]}`))
+
+  const refspecs = branches.map((branch) => {
+    const { name } = getUpstream(branch)
+    return name === branch ? branch : `${branch}:refs/heads/${name}`
+  })
+  // The porcelain report is read from stdout, so only the command is shown
+  const { stdout, stderr } = runGit(['push', ...flags, remote, ...refspecs], {
+    show: true,
+    stream: false,
+    allowFailure: true,
+  })
+
+  // Refs git never got to (e.g. the remote couldn't be reached) fall back to its first error line
+  const outcomes = parsePushPorcelain(stdout)
+  const errorLine = stderr.split('\n').find((line) => /^(error|fatal):/.test(line))
+  const fallback = { ok: false, flag: '!', reason: errorLine ? errorLine.replace(/^(error|fatal):\s*/, '') : 'push failed' }
+  return branches.map((branch) => ({ branch, ...(outcomes[branch] || fallback) }))
+}
+
+// Point a ref at an object. Refs outside refs/heads keep snapshots reachable without showing up as branches.
+function updateRef(ref, sha) {
+  runGit(['update-ref', ref, sha])
+}
+
+function deleteRef(ref) {
+  runGit(['update-ref', '-d', ref])
+}
+
+// List the refs under a prefix as { ref, sha }
+function listRefs(prefix) {
+  const output = readGit(['for-each-ref', '--format=%(refname) %(objectname)', prefix])
+  if (!output) {
+    return []
+  }
+  return output.split('\n').map((line) => {
+    const [ref, sha] = line.split(' ')
+    return { ref, sha }
+  })
+}
+
+// Store text in the object database and return its blob SHA
+function writeBlob(content) {
+  return readGit(['hash-object', '-w', '--stdin'], { input: content })
+}
+
+function readBlob(sha) {
+  return runGit(['cat-file', 'blob', sha]).stdout
+}
+
+// Get the commit of the newest stash entry, or null if the stash is empty
+function getStashTip() {
+  try {
+    return readGit(['rev-parse', '--verify', '--quiet', 'refs/stash'])
+  } catch (error) {
+    return null
+  }
+}
+
+// Find a stash entry's position in the stash list by its commit SHA
+function findStashIndex(stashSha) {
+  try {
+    const shas = readGit(['stash', 'list', '--format=%H']).split('\n')
+    return shas.indexOf(stashSha)
   } catch (error) {
-    return { hasConflicts: false, error: error.message }
-  } finally {
-    // Always clean up and return to original branch
+    return -1
+  }
+}
+
+// Get the URL a remote fetches from, or null if there is no such remote
+function getRemoteUrl(remoteName) {
+  try {
+    return readGit(['remote', 'get-url', remoteName])
+  } catch (error) {
+    return null
+  }
+}
+
+// Subjects of the non-merge commits in a revision range, oldest first
+function getCommitSubjects(range) {
+  const output = readGit(['log', '--reverse', '--no-merges', '--format=%s', range])
+  return output ? output.split('\n') : []
+}
+
+// Names of all local branches
+function listLocalBranches() {
+  return listRefs('refs/heads/').map(({ ref }) => ref.slice('refs/heads/'.length))
+}
+
+// The branch a remote's HEAD points at (its default branch), or null if git doesn't know it
+function getRemoteHead(remoteName) {
+  try {
+    const ref = readGit(['symbolic-ref', '--quiet', `refs/remotes/${remoteName}/HEAD`])
+    return ref.slice(`refs/remotes/${remoteName}/`.length)
+  } catch (error) {
+    return null
+  }
+}
+
+// Get the commit SHA a ref points to
+function getCommitSha(ref) {
+  try {
+    return readGit(['rev-parse', ref])
+  } catch (error) {
+    throw new Error(`Failed to resolve commit for ${ref}: ${error.reason || error.message}`)
+  }
+}
+
+// Check whether `branch` itself once pointed at `commit` (it is on the branch's first-parent line), rather than
+// taking the commit in through a merge
+function isOnFirstParentLine(commit, branch) {
+  const sha = getCommitSha(commit)
+  if (getCommitSha(branch) === sha) {
+    return true
+  }
+  const output = readGit(['log', '--first-parent', '--format=%P', `${sha}..${branch}`])
+  return output.split('\n').some((parents) => parents.split(' ')[0] === sha)
+}
+
+// Check for unmerged paths of any kind (content, add/add, modify/delete, add/delete...)
+function hasConflicts() {
+  try {
+    return readGit(['diff', '--name-only', '--diff-filter=U']) !== ''
+  } catch (error) {
+    return false
+  }
+}
+
+// Check whether the installed git is at least major.minor
+let gitVersion = null
+function isGitVersionAtLeast(major, minor) {
+  if (gitVersion === null) {
     try {
-      execSync(`git checkout ${currentBranch}`, { stdio: 'ignore' })
-      execSync(`git branch -D ${tempBranchName}`, { stdio: 'ignore' })
-    } catch (cleanupError) {
-      // Ignore cleanup errors
+      const match = readGit(['--version']).match(/(\d+)\.(\d+)/)
+      gitVersion = [Number(match[1]), Number(match[2])]
+    } catch (error) {
+      gitVersion = [0, 0]
     }
   }
+  return gitVersion[0] > major || (gitVersion[0] === major && gitVersion[1] >= minor)
+}
+
+// Check whether this git can compute merges in memory with `merge-tree --write-tree` (git 2.38+)
+function supportsMergeTreeWriteTree() {
+  return isGitVersionAtLeast(2, 38)
+}
+
+// Map git's conflict labels onto the handful of kinds we report
+function normalizeConflictType(label) {
+  if (label === 'content' || label === 'contents') {
+    return 'content'
+  }
+  if (label.includes('rename')) {
+    return 'rename'
+  }
+  return label
+}
+
+// Parse `git merge-tree --write-tree -z` output: the result tree, the conflicted stages of each file,
+// then one record per message (path count, paths, type, message)
+function parseWriteTreeOutput(output) {
+  const fields = output.split('\0')
+  const tree = fields[0]
+  const files = new Map()
+  const labelled = new Set()
+  let i = 1
+
+  for (; i < fields.length && fields[i] !== ''; i++) {
+    const path = fields[i].split('\t')[1]
+    if (!files.has(path)) {
+      files.set(path, { path, type: 'content', hunks: 0, paths: [path] })
+    }
+  }
+
+  // The message text carries the precise conflict kind ("add/add" is reported with the type "contents")
+  i++
+  while (i < fields.length && fields[i] !== '') {
+    const count = Number(fields[i])
+    const paths = fields.slice(i + 1, i + 1 + count)
+    const message = fields[i + 2 + count] || ''
+    const label = message.match(/^CONFLICT \(([^)]+)\)/)
+    i += count + 3
+
+    const file = label && paths.map((path) => files.get(path)).find(Boolean)
+    if (file && !labelled.has(file.path)) {
+      Object.assign(file, { type: normalizeConflictType(label[1]), paths })
+      labelled.add(file.path)
+      // A rename conflict spans several paths; report it once, under its first path
+      paths.filter((path) => path !== file.path && !labelled.has(path)).forEach((path) => {
+        files.delete(path)
+      })
+    }
+  }
+
+  return { tree, conflictedFiles: [...files.values()] }
+}
+
+// Parse the legacy three-way `git merge-tree <base> <a> <b>` output, which lists changed entries as blocks
+function parseLegacyMergeTreeOutput(output) {
+  const conflictedFiles = []
+  let block = null
+
+  const closeBlock = () => {
+    if (!block) {
+      return
+    }
+    const removed = block.header.startsWith('removed in')
+    const survivor = block.entries.find((entry) => entry.side !== 'base')
+    const base = block.entries.find((entry) => entry.side === 'base')
+    // A side that deleted the file while the other changed it is a modify/delete conflict
+    if (block.hunks > 0 || (removed && survivor && base && survivor.sha !== base.sha)) {
+      const type = removed ? 'modify/delete' : block.header === 'added in both' ? 'add/add' : 'content'
+      conflictedFiles.push({ path: block.path, type, hunks: block.hunks, paths: [block.path] })
+    }
+  }
+
+  for (const line of output.split('\n')) {
+    const entry = line.match(/^ {2}(base|our|their|result) +\d+ ([0-9a-f]+) (.+)$/)
+    if (entry) {
+      block.entries.push({ side: entry[1], sha: entry[2] })
+      block.path = entry[3]
+    } else if (/^[a-z]/.test(line)) {
+      closeBlock()
+      block = { header: line, entries: [], path: null, hunks: 0 }
+    } else if (block && line.startsWith('+<<<<<<< ')) {
+      block.hunks++
+    }
+  }
+  closeBlock()
+
+  return { tree: null, conflictedFiles }
+}
+
+// Count the conflict marker blocks git left in a file of a merged tree
+function countConflictHunks(tree, path) {
+  try {
+    const content = runGit(['cat-file', 'blob', `${tree}:${path}`]).stdout
+    return content.split('\n').filter((line) => line.startsWith('<<<<<<< ')).length
+  } catch (error) {
+    return 0
+  }
+}
+
+// Simulate merging sourceBranch into targetBranch without touching HEAD, the index or the working tree
+// An explicit mergeBase simulates replaying only mergeBase..targetBranch onto sourceBranch, like `rebase --onto`.
+function simulateMerge(sourceBranch, targetBranch, mergeBase = null) {
+  try {
+    if (supportsMergeTreeWriteTree()) {
+      // `--merge-base` arrived in git 2.40. Before that, the same merge is had from stand-ins for both sides:
+      // their trees, committed straight on top of the merge base, so that git finds it as theirs.
+      let sides = [targetBranch, sourceBranch]
+      let baseOption = []
+      if (mergeBase && isGitVersionAtLeast(2, 40)) {
+        baseOption = [`--merge-base=${mergeBase}`]
+      } else if (mergeBase) {
+        sides = sides.map((side) => createMergeCommit(`${side}^{tree}`, [mergeBase], `Simulated ${side}`))
+      }
+      const { stdout, stderr, status } = runGit(
+        ['merge-tree', '--write-tree', '-z', ...baseOption, ...sides],
+        { allowFailure: true }
+      )
+      if (status === 0) {
+        return { hasConflicts: false, ...parseWriteTreeOutput(stdout) }
+      }
+
+      // Exit status 1 means the merge completed with conflicts; anything else is a real failure
+      const result = status === 1 ? parseWriteTreeOutput(stdout) : null
+      if (!result || !/^[0-9a-f]{40,64}$/.test(result.tree)) {
+        throw new Error(stderr.trim() || `git merge-tree exited with code ${status}`)
+      }
+      result.conflictedFiles.forEach((file) => {
+        file.hunks = countConflictHunks(result.tree, file.path)
+      })
+      return { hasConflicts: true, ...result, error: 'Merge would conflict' }
+    }
+
+    // Older git: three-way merge-tree against the merge base prints the merge result with conflict markers
+    const base = mergeBase || readGit(['merge-base', targetBranch, sourceBranch])
+    const { stdout: output } = runGit(['merge-tree', base, targetBranch, sourceBranch])
+    const result = parseLegacyMergeTreeOutput(output)
+    const hasConflicts = result.conflictedFiles.length > 0
+    return { hasConflicts, ...result, error: hasConflicts ? 'Merge would conflict' : undefined }
+  } catch (error) {
+    return { hasConflicts: false, tree: null, conflictedFiles: [], error: error.reason || error.message }
+  }
+}
+
+// Get the best common ancestor of two commits, or null if they share no history
+function getMergeBase(a, b) {
+  try {
+    return readGit(['merge-base', a, b])
+  } catch (error) {
+    return null
+  }
+}
+
+// List the most recent non-merge commits in a range that touched any of the given paths
+function getRecentCommits(range, paths, limit = 3) {
+  try {
+    const { stdout: output } = runGit([
+      'log',
+      '--no-merges',
+      `-n${limit}`,
+      '--format=%h%x09%an%x09%ar%x09%s',
+      range,
+      '--',
+      ...paths,
+    ])
+    return output
+      .split('\n')
+      .filter((line) => line.trim() !== '')
+      .map((line) => {
+        const [sha, author, date, subject] = line.split('\t')
+        return { sha, author, date, subject }
+      })
+  } catch (error) {
+    return []
+  }
+}
+
+// Create a merge commit object for a tree without moving any ref (used to chain simulated merges)
+function createMergeCommit(tree, parents, message) {
+  const parentArgs = parents.flatMap((parent) => ['-p', parent])
+  const identity = { GIT_AUTHOR_NAME: 'stacked-pr-sync', GIT_AUTHOR_EMAIL: 'stacked-pr-sync@localhost' }
+  return readGit(['commit-tree', tree, ...parentArgs, '-m', message], {
+    env: {
+      ...identity,
+      GIT_COMMITTER_NAME: identity.GIT_AUTHOR_NAME,
+      GIT_COMMITTER_EMAIL: identity.GIT_AUTHOR_EMAIL,
+    },
+  })
 }
 
-// Check branch status for smart origin detection
+// Check branch status against its remote
 function getBranchStatus(branchName) {
   try {
     // Check if branch exists locally
-    const localExists = execSync(`git show-ref --verify --quiet refs/heads/${branchName}`, { stdio: 'ignore' })
+    const localExists = runGit(['show-ref', '--verify', '--quiet', `refs/heads/${branchName}`])
     
     // Check if remote branch exists
     let remoteExists = false
@@ -200,12 +648,12 @@ function getBranchStatus(branchName) {
     let syncStatus = 'unknown'
     
     try {
-      execSync(`git rev-parse origin/${branchName}`, { stdio: 'ignore' })
+      runGit(['rev-parse', getRemoteRef(branchName)])
       remoteExists = true
       
       // Compare local and remote commits
-      const localCommit = execSync(`git rev-parse ${branchName}`, { encoding: 'utf8' }).trim()
-      const remoteCommit = execSync(`git rev-parse origin/${branchName}`, { encoding: 'utf8' }).trim()
+      const localCommit = readGit(['rev-parse', branchName])
+      const remoteCommit = readGit(['rev-parse', getRemoteRef(branchName)])
       
       isInSync = localCommit === remoteCommit
       syncStatus = isInSync ? 'in-sync' : 'out-of-sync'
@@ -235,12 +683,13 @@ function getBranchStatus(branchName) {
 // Get detailed sync information for a branch
 function getSyncDetails(branchName) {
   try {
-    const localCommit = execSync(`git rev-parse ${branchName}`, { encoding: 'utf8' }).trim()
-    const remoteCommit = execSync(`git rev-parse origin/${branchName}`, { encoding: 'utf8' }).trim()
+    const localCommit = readGit(['rev-parse', branchName])
+    const remoteRef = getRemoteRef(branchName)
+    const remoteCommit = readGit(['rev-parse', remoteRef])
     
     // Count commits ahead/behind
-    const ahead = execSync(`git rev-list --count origin/${branchName}..${branchName}`, { encoding: 'utf8' }).trim()
-    const behind = execSync(`git rev-list --count ${branchName}..origin/${branchName}`, { encoding: 'utf8' }).trim()
+    const ahead = readGit(['rev-list', '--count', `${remoteRef}..${branchName}`])
+    const behind = readGit(['rev-list', '--count', `${branchName}..${remoteRef}`])
     
     return {
       ahead: parseInt(ahead),
@@ -252,6 +701,8 @@ function getSyncDetails(branchName) {
 }
 
 module.exports = {
+  validateBranchName,
+  validateRemoteName,
   checkGitRepo,
   getCurrentBranch,
   isWorkingDirectoryClean,
@@ -259,9 +710,41 @@ module.exports = {
   isBranchInSync,
   switchToBranch,
   mergeFromBranch,
+  rebaseOntoBranch,
+  getGitPath,
+  getCheckedOutBranches,
+  isRebaseInProgress,
+  isMergeInProgress,
+  isAncestor,
+  getCommitSha,
+  getRemoteUrl,
+  getCommitSubjects,
+  listLocalBranches,
+  getRemoteHead,
+  getBranchTip,
+  getRemoteBranchTip,
+  branchExists,
+  countCommits,
+  pushToRemote,
+  updateRef,
+  deleteRef,
+  listRefs,
+  writeBlob,
+  readBlob,
+  countUnpickedCommits,
+  getDiffPatchId,
+  getCommitPatchIds,
+  resetBranch,
+  getStashTip,
+  findStashIndex,
+  isOnFirstParentLine,
   hasConflicts,
-  performDryRunMerge,
+  simulateMerge,
+  supportsMergeTreeWriteTree,
+  createMergeCommit,
+  getMergeBase,
+  getRecentCommits,
   getBranchStatus,
   getSyncDetails,
-  checkOriginExists,
+  checkRemoteExists,
 }
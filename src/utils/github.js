@@ -0,0 +1,93 @@
+const http = require('http')
+const https = require('https')
+const { PullRequestError } = require('./errors')
+
+const DEFAULT_API_URL = 'https://api.github.com'
+
+// Read owner and repository name from a remote URL (https://host/owner/repo.git, git@host:owner/repo.git, ssh://...)
+function parseRepository(remoteUrl) {
+  const match = (remoteUrl || '').match(/[/:]([^/:]+)\/([^/]+?)(?:\.git)?\/?$/)
+  return match ? { owner: match[1], repo: match[2] } : null
+}
+
+// Send one JSON request to the API and resolve with the parsed response body
+function requestJson(apiUrl, token, method, path, body) {
+  const url = new URL(`${apiUrl.replace(/\/+$/, '')}${path}`)
+  const payload = body ? JSON.stringify(body) : null
+  const transport = url.protocol === 'http:' ? http : https
+
+  return new Promise((resolve, reject) => {
+    const request = transport.request(
+      url,
+      {
+        method,
+        headers: {
+          Accept: 'application/vnd.github+json',
+          Authorization: `Bearer ${token}`,
+          'User-Agent': 'stacked-pr-sync',
+          'X-GitHub-Api-Version': '2022-11-28',
+          ...(payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {}),
+        },
+      },
+      (response) => {
+        let data = ''
+        response.setEncoding('utf8')
+        response.on('data', (chunk) => {
+          data += chunk
+        })
+        response.on('end', () => {
+          let parsed = null
+          try {
+            parsed = data ? JSON.parse(data) : null
+          } catch (error) {
+            parsed = null
+          }
+          if (response.statusCode >= 200 && response.statusCode < 300) {
+            resolve(parsed)
+          } else {
+            const reason = (parsed && parsed.message) || data.trim() || response.statusMessage
+            const message = `${method} ${url.pathname} returned ${response.statusCode}: ${reason}`
+            reject(new PullRequestError(message, response.statusCode))
+          }
+        })
+      }
+    )
+    request.on('error', (error) => {
+      reject(new PullRequestError(`${method} ${url.pathname} failed: ${error.message}`, null))
+    })
+    if (payload) {
+      request.write(payload)
+    }
+    request.end()
+  })
+}
+
+// Minimal GitHub pulls API for one repository. `apiUrl` can point at GitHub Enterprise (https://host/api/v3)
+// or a local mock server.
+function createGitHubClient({ apiUrl = DEFAULT_API_URL, token, owner, repo }) {
+  const request = (method, path, body) => requestJson(apiUrl, token, method, `/repos/${owner}/${repo}${path}`, body)
+
+  return {
+    // The branch pull requests target by default (e.g. main)
+    async getDefaultBranch() {
+      return (await request('GET', '')).default_branch
+    },
+    // Open pull request for a head ("owner:branch"), or null
+    async findOpenPullRequest(head) {
+      const pulls = await request('GET', `/pulls?state=open&head=${encodeURIComponent(head)}`)
+      return pulls && pulls.length > 0 ? pulls[0] : null
+    },
+    createPullRequest({ head, base, title, body }) {
+      return request('POST', '/pulls', { head, base, title, body })
+    },
+    updatePullRequest(number, changes) {
+      return request('PATCH', `/pulls/${number}`, changes)
+    },
+  }
+}
+
+module.exports = {
+  DEFAULT_API_URL,
+  parseRepository,
+  createGitHubClient,
+}
@@ -0,0 +1,51 @@
+const { InterruptedError } = require('./errors')
+
+// git runs synchronously, so a Ctrl-C usually lands on the git command in progress (it is in the same process
+// group) and the process's own signal handler only runs once control gets back to the event loop. The signal
+// is noted as soon as it is seen, so the code running the sync can stop at its next step.
+let interruption = null
+
+// What to run when a signal arrives while a command is changing the repository (see setInterruptCleanup)
+let cleanup = null
+
+// Note that the run was interrupted by `signal`; the first signal is the one that counts
+function noteInterrupt(signal) {
+  interruption = interruption || signal
+}
+
+// The signal that interrupted the run, or null
+function getInterruption() {
+  return interruption
+}
+
+// Stop here with an InterruptedError when the run has been interrupted
+function throwIfInterrupted() {
+  if (interruption) {
+    throw new InterruptedError(interruption)
+  }
+}
+
+// Register how to put the repository back in order if a signal arrives while nothing can see it
+// (e.g. while waiting on the network). Pass null once the command is done.
+function setInterruptCleanup(fn) {
+  cleanup = fn
+}
+
+// Run the registered cleanup, once. Returns whether there was one.
+function runInterruptCleanup(signal) {
+  noteInterrupt(signal)
+  const fn = cleanup
+  cleanup = null
+  if (fn) {
+    fn(signal)
+  }
+  return Boolean(fn)
+}
+
+module.exports = {
+  noteInterrupt,
+  getInterruption,
+  throwIfInterrupted,
+  setInterruptCleanup,
+  runInterruptCleanup,
+}
@@ -0,0 +1,211 @@
+// JSON parser that remembers where every key and value sits in the text, so problems in a config file
+// can be reported by line and column. Paths are arrays of keys and indexes, e.g. ['stacks', 'auth', 'branches', 2].
+
+// Line and column (both from 1) of an offset in the text
+function lineAndColumn(text, offset) {
+  const before = text.slice(0, offset).split('\n')
+  return { line: before.length, column: before[before.length - 1].length + 1 }
+}
+
+// Render a path for messages: stacks.auth.branches[2]
+function formatPath(path) {
+  return path.reduce((text, key) => (typeof key === 'number' ? `${text}[${key}]` : text ? `${text}.${key}` : key), '')
+}
+
+// Parse JSON text. Throws a SyntaxError with `line` and `column` set when the text isn't valid JSON.
+// Returns { value, locate(path), offsets(path) }, where locate gives the line and column of the value at a path
+// (or of its key, with { key: true }), falling back to the closest parent that exists, and offsets gives where
+// the value starts and ends in the text and where its key starts: { key, start, end }, or null.
+function parseJsonSource(text) {
+  const locations = new Map()
+  let offset = 0
+
+  const fail = (message) => {
+    const { line, column } = lineAndColumn(text, offset)
+    const error = new SyntaxError(`${message} at line ${line}, column ${column}`)
+    Object.assign(error, { line, column, reason: message })
+    throw error
+  }
+  const skipWhitespace = () => {
+    while (/\s/.test(text[offset] || '')) {
+      offset++
+    }
+  }
+  const expect = (char) => {
+    skipWhitespace()
+    if (text[offset] !== char) {
+      fail(text[offset] === undefined ? `Expected "${char}" but the file ended` : `Expected "${char}"`)
+    }
+    offset++
+  }
+
+  const parseString = () => {
+    const match = text.slice(offset).match(/^"(?:[^"\\\n]|\\.)*"/)
+    let string
+    try {
+      string = JSON.parse(match[0])
+    } catch (error) {
+      fail('Invalid string')
+    }
+    offset += match[0].length
+    return string
+  }
+
+  const parseValue = (path) => {
+    skipWhitespace()
+    const start = offset
+    const value = readValue(path)
+    locations.set(JSON.stringify(path), { ...locations.get(JSON.stringify(path)), value: start, end: offset })
+    return value
+  }
+
+  const readValue = (path) => {
+    const char = text[offset]
+
+    if (char === '{') {
+      offset++
+      const object = {}
+      skipWhitespace()
+      if (text[offset] === '}') {
+        offset++
+        return object
+      }
+      for (;;) {
+        skipWhitespace()
+        const keyOffset = offset
+        if (text[offset] !== '"') {
+          fail('Expected a key in double quotes')
+        }
+        const key = parseString()
+        locations.set(JSON.stringify([...path, key]), { key: keyOffset })
+        expect(':')
+        object[key] = parseValue([...path, key])
+        skipWhitespace()
+        if (text[offset] === ',') {
+          offset++
+        } else if (text[offset] === '}') {
+          offset++
+          return object
+        } else {
+          fail('Expected "," or "}"')
+        }
+      }
+    }
+
+    if (char === '[') {
+      offset++
+      const array = []
+      skipWhitespace()
+      if (text[offset] === ']') {
+        offset++
+        return array
+      }
+      for (;;) {
+        array.push(parseValue([...path, array.length]))
+        skipWhitespace()
+        if (text[offset] === ',') {
+          offset++
+        } else if (text[offset] === ']') {
+          offset++
+          return array
+        } else {
+          fail('Expected "," or "]"')
+        }
+      }
+    }
+
+    if (char === '"') {
+      return parseString()
+    }
+    const literal = text.slice(offset).match(/^(?:true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?)/)
+    if (!literal) {
+      fail(char === undefined ? 'Unexpected end of file' : `Unexpected "${char}"`)
+    }
+    offset += literal[0].length
+    return JSON.parse(literal[0])
+  }
+
+  const value = parseValue([])
+  skipWhitespace()
+  if (offset < text.length) {
+    fail('Unexpected text after the end of the JSON')
+  }
+
+  const locate = (path, { key = false } = {}) => {
+    for (let length = path.length; length >= 0; length--) {
+      const found = locations.get(JSON.stringify(path.slice(0, length)))
+      const position = found && (key && found.key !== undefined ? found.key : found.value)
+      if (position !== undefined) {
+        return lineAndColumn(text, position)
+      }
+    }
+    return { line: 1, column: 1 }
+  }
+
+  const offsets = (path) => {
+    const found = locations.get(JSON.stringify(path))
+    return found ? { key: found.key, start: found.value, end: found.end } : null
+  }
+
+  return { value, locate, offsets }
+}
+
+// Rewrite JSON text to hold `value`, keeping the text of everything that didn't change as it was: only changed
+// values are written again, and members and items are added or dropped in the layout of the object or list they
+// are in. `format(value, { key, inline })` writes a value (its member's key, if any) as at the top level, or on
+// one line when it goes into a list or object kept on one line.
+function updateJsonSource(text, value, format) {
+  const { value: current, offsets } = parseJsonSource(text)
+  const isObject = (item) => item !== null && typeof item === 'object' && !Array.isArray(item)
+  // Indentation of the line an offset is on
+  const indentAt = (offset) => text.slice(text.lastIndexOf('\n', offset - 1) + 1).match(/^[ \t]*/)[0]
+  const write = (item, key, indent, inline) => format(item, { key, inline }).split('\n').join(`\n${indent}`)
+
+  const render = (path, before, after) => {
+    const { start, end } = offsets(path)
+    const key = path[path.length - 1]
+    if (JSON.stringify(before) === JSON.stringify(after)) {
+      return text.slice(start, end)
+    }
+    const objects = isObject(before) && isObject(after)
+    const sameKind = objects || (Array.isArray(before) && Array.isArray(after))
+    const members = (item) => (!sameKind ? [] : objects ? Object.keys(item) : item.map((_, index) => index))
+    const oldMembers = members(before)
+    const newMembers = members(after)
+    // A value that changed type, or an empty list or object, is written out whole
+    if (oldMembers.length === 0 || newMembers.length === 0) {
+      return write(after, key, indentAt(start), false)
+    }
+
+    const first = offsets([...path, oldMembers[0]])
+    const last = offsets([...path, oldMembers[oldMembers.length - 1]])
+    const memberStart = (member) => (objects ? member.key : member.start)
+    const opening = text.slice(start + 1, memberStart(first))
+    const closing = text.slice(last.end, end - 1)
+    const separator = oldMembers.length > 1
+      ? text.slice(first.end, memberStart(offsets([...path, oldMembers[1]])))
+      : `,${opening || ' '}`
+    const inline = !opening.includes('\n')
+    const indent = opening.slice(opening.lastIndexOf('\n') + 1)
+
+    const rendered = newMembers.map((member) => {
+      if (!oldMembers.includes(member)) {
+        const written = write(after[member], objects ? member : undefined, indent, inline)
+        return objects ? `${JSON.stringify(member)}: ${written}` : written
+      }
+      const child = offsets([...path, member])
+      const keyText = objects ? text.slice(child.key, child.start) : ''
+      return `${keyText}${render([...path, member], before[member], after[member])}`
+    })
+    return `${text[start]}${opening}${rendered.join(separator)}${closing}${text[end - 1]}`
+  }
+
+  const root = offsets([])
+  return `${text.slice(0, root.start)}${render([], current, value)}${text.slice(root.end)}`
+}
+
+module.exports = {
+  parseJsonSource,
+  updateJsonSource,
+  formatPath,
+}
@@ -0,0 +1,147 @@
+const fs = require('fs')
+const os = require('os')
+const { checkGitRepo, getGitPath } = require('./git')
+const { logWarning } = require('./logger')
+const { LockedError, NotAGitRepositoryError } = require('./errors')
+
+// Only one run at a time may change a repository. The lock file sits in the git directory every worktree
+// shares and says which process holds it, so a lock left behind by a process that died can be taken over.
+const LOCK_FILE = 'stacked-pr-sync.lock'
+
+// A lock file that can't be read is taken for one still being written until it is this old
+const UNREADABLE_LOCK_GRACE_MS = 10000
+
+// Path of the lock this process holds, or null
+let heldLock = null
+
+// Whether a process with this id is running on this machine
+function isProcessRunning(pid) {
+  try {
+    process.kill(pid, 0)
+    return true
+  } catch (error) {
+    // EPERM: it exists but belongs to someone else
+    return error.code === 'EPERM'
+  }
+}
+
+// What the lock file says about its holder: { pid, hostname, command, startedAt }, {} when it can't be read
+// (e.g. cut short by a crash), or null when there is no lock
+function readLockHolder(lockPath) {
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, 'utf8'))
+  } catch (error) {
+    return error.code === 'ENOENT' ? null : {}
+  }
+}
+
+// A lock is stale when its process is gone. A lock taken on another machine (a repository on a shared
+// drive) can't be checked, so it is never considered stale. One that can't be read only counts as stale
+// once it is old enough that no run can still be writing it.
+function isStale(holder, lockPath) {
+  if (!holder.pid) {
+    try {
+      return Date.now() - fs.statSync(lockPath).mtimeMs > UNREADABLE_LOCK_GRACE_MS
+    } catch (error) {
+      return error.code === 'ENOENT'
+    }
+  }
+  if (holder.hostname !== os.hostname()) {
+    return false
+  }
+  // Our own id on a lock we don't hold: a process that died left it and the id has been reused
+  return holder.pid === process.pid ? heldLock === null : !isProcessRunning(holder.pid)
+}
+
+// Create the lock file with `holder` in it, unless it exists. The holder goes to a file of our own first and
+// that is linked into place, so the lock file is complete from the moment it exists, and linking fails when
+// another run got there first. Returns whether the lock was created.
+function createLockFile(lockPath, holder) {
+  const tempPath = `${lockPath}.${holder.hostname}.${holder.pid}`
+  fs.writeFileSync(tempPath, JSON.stringify(holder, null, 2))
+  try {
+    fs.linkSync(tempPath, lockPath)
+    return true
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      throw error
+    }
+    return false
+  } finally {
+    fs.rmSync(tempPath, { force: true })
+  }
+}
+
+// Take the repository lock for `command`, taking over a stale one. Throws a LockedError while another
+// run holds it.
+function acquireLock(command) {
+  if (!checkGitRepo()) {
+    throw new NotAGitRepositoryError()
+  }
+  const lockPath = getGitPath(LOCK_FILE, { common: true })
+  const holder = { pid: process.pid, hostname: os.hostname(), command, startedAt: new Date().toISOString() }
+
+  // A stale lock is removed and the lock taken again; another run may take it first
+  for (let attempt = 0; attempt < 3; attempt++) {
+    if (createLockFile(lockPath, holder)) {
+      heldLock = lockPath
+      return holder
+    }
+
+    const existing = readLockHolder(lockPath)
+    if (existing && !isStale(existing, lockPath)) {
+      throw new LockedError(lockPath, existing)
+    }
+    if (existing) {
+      const { pid, command, startedAt } = existing
+      logWarning(pid
+        ? `Removing a stale lock: pid ${pid} (${command}, since ${startedAt}) is no longer running`
+        : 'Removing an unreadable lock file')
+      fs.rmSync(lockPath, { force: true })
+    }
+  }
+  throw new LockedError(lockPath, readLockHolder(lockPath) || {})
+}
+
+// Give the lock back, if this process holds it
+function releaseLock() {
+  if (!heldLock) {
+    return
+  }
+  const holder = readLockHolder(heldLock)
+  if (holder && holder.pid === process.pid) {
+    fs.rmSync(heldLock, { force: true })
+  }
+  heldLock = null
+}
+
+// Wrap an async function so it holds the repository lock while it runs
+function withLock(command, fn) {
+  return async (...args) => {
+    acquireLock(command)
+    try {
+      return await fn(...args)
+    } finally {
+      releaseLock()
+    }
+  }
+}
+
+// Same as withLock, for a function that does its work synchronously
+function withLockSync(command, fn) {
+  return (...args) => {
+    acquireLock(command)
+    try {
+      return fn(...args)
+    } finally {
+      releaseLock()
+    }
+  }
+}
+
+module.exports = {
+  acquireLock,
+  releaseLock,
+  withLock,
+  withLockSync,
+}
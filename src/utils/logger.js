@@ -1,3 +1,5 @@
+const { createReporter } = require('./reporters')
+
 // ANSI color codes for better output
 const colors = {
   reset: '\x1b[0m',
@@ -10,12 +12,36 @@ const colors = {
   cyan: '\x1b[36m',
 }
 
+// Where log lines go (and whether they are coloured) is up to the active reporter
+let reporter = null
+
+function setReporter(newReporter) {
+  reporter = newReporter
+}
+
+function getReporter() {
+  if (!reporter) {
+    reporter = createReporter('human')
+  }
+  return reporter
+}
+
+// stdio for git commands the user watches: stdout joins the human log (stderr for machine reporters),
+// stderr is piped so the runner can keep it for error messages
+function commandStdio() {
+  return ['inherit', getReporter().machine ? 2 : 'inherit', 'pipe']
+}
+
+function paint(text, color) {
+  return getReporter().color ? `${colors[color]}${text}${colors.reset}` : text
+}
+
 function log(message, color = 'reset') {
-  console.log(`${colors[color]}${message}${colors.reset}`)
+  getReporter().writeLog(paint(message, color))
 }
 
 function logStep(step, message) {
-  log(`\n${colors.bright}${step}${colors.reset}: ${message}`, 'cyan')
+  log(`\n${paint(step, 'bright')}: ${message}`, 'cyan')
 }
 
 function logSuccess(message) {
@@ -46,5 +72,8 @@ module.exports = {
   logWarning,
   logInfo,
   logCommand,
+  setReporter,
+  getReporter,
+  commandStdio,
   colors,
 }
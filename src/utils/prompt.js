@@ -0,0 +1,102 @@
+const readline = require('readline')
+const { StackedPRSyncError, NonInteractiveError, InterruptedError } = require('./errors')
+const { getReporter } = require('./logger')
+const { noteInterrupt } = require('./interrupt')
+
+// Answers given ahead of time (CLI flags / config), keyed by question id
+let presetAnswers = {}
+let assumeYes = false
+let nonInteractive = false
+
+// Ask a question on the terminal and resolve with the raw answer
+function readlineQuestion(question) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    // Keep stdout for the JSON document / event stream when a machine reporter is active
+    output: getReporter().machine ? process.stderr : process.stdout,
+  })
+
+  return new Promise((resolve, reject) => {
+    let answered = false
+    rl.on('close', () => {
+      if (!answered) {
+        reject(new Error('Input closed before an answer was given. Use --non-interactive with preset answers.'))
+      }
+    })
+    // The terminal is in raw mode while asking, so Ctrl-C arrives here instead of as a signal
+    rl.on('SIGINT', () => {
+      answered = true
+      noteInterrupt('SIGINT')
+      rl.close()
+      reject(new InterruptedError('SIGINT'))
+    })
+    rl.question(question, (answer) => {
+      answered = true
+      rl.close()
+      resolve(answer)
+    })
+  })
+}
+
+let questionHandler = readlineQuestion
+
+// Set preset answers and interactivity for the prompts that follow
+function configurePrompts({ answers = {}, yes = false, interactive = true } = {}) {
+  presetAnswers = Object.fromEntries(Object.entries(answers).filter(([, value]) => value !== undefined))
+  assumeYes = yes
+  nonInteractive = !interactive
+}
+
+// Replace how questions reach the user (e.g. scripted answers in tests). Pass nothing to restore readline.
+function setQuestionHandler(handler) {
+  questionHandler = handler || readlineQuestion
+}
+
+// Answer from presets or --yes, or fail when no one can be asked
+function answerWithoutAsking(id, message, yesAnswer, hint) {
+  if (presetAnswers[id] !== undefined) {
+    return { answered: true, answer: presetAnswers[id] }
+  }
+  if (assumeYes && yesAnswer !== undefined) {
+    return { answered: true, answer: yesAnswer }
+  }
+  if (nonInteractive) {
+    const hintText = hint ? ` Answer it ahead of time with ${hint}.` : ''
+    throw new NonInteractiveError(`Cannot ask "${message}" in non-interactive mode.${hintText}`)
+  }
+  return { answered: false }
+}
+
+// Ask the user to pick one of several numbered options; resolves with the chosen value or null if invalid
+async function askChoice(id, message, choices, { yesAnswer, hint } = {}) {
+  const preset = answerWithoutAsking(id, message, yesAnswer, hint)
+  if (preset.answered) {
+    if (!choices.some((choice) => choice.value === preset.answer)) {
+      throw new StackedPRSyncError(`Invalid preset answer "${preset.answer}" for "${message}"`, 'INVALID_ANSWER')
+    }
+    return preset.answer
+  }
+
+  const options = choices.map((choice, index) => `${index + 1}. ${choice.label}`).join('\n')
+  const answer = await questionHandler(`\n${message}\n${options}\n\nEnter your choice (1-${choices.length}): `)
+  const choice = choices[Number(answer.trim()) - 1]
+  return choice ? choice.value : null
+}
+
+// Ask a yes/no question
+async function askConfirm(id, message, { yesAnswer = true, hint } = {}) {
+  const preset = answerWithoutAsking(id, message, yesAnswer, hint)
+  if (preset.answered) {
+    return Boolean(preset.answer)
+  }
+
+  const answer = (await questionHandler(`\n${message} (y/n): `)).trim().toLowerCase()
+  return answer === 'y' || answer === 'yes'
+}
+
+module.exports = {
+  configurePrompts,
+  setQuestionHandler,
+  askChoice,
+  askConfirm,
+}
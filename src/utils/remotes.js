@@ -0,0 +1,69 @@
+const { readGit } = require('./git-runner')
+
+// The stack's remote (--remote / stack "remote", origin when neither is given)
+let defaultRemote = 'origin'
+// Where each branch of the running stack lives: { remote, name }
+let branchRemotes = {}
+
+// Read a branch's configured upstream (branch.<name>.remote / branch.<name>.merge), or null if it has none
+function getConfiguredUpstream(branchName) {
+  try {
+    const read = (key) => readGit(['config', '--get', `branch.${branchName}.${key}`])
+    const remote = read('remote')
+    const merge = read('merge')
+    // "." is a local upstream, which has no remote copy to compare with
+    if (remote === '.' || !merge.startsWith('refs/heads/')) {
+      return null
+    }
+    return { remote, name: merge.slice('refs/heads/'.length) }
+  } catch (error) {
+    return null
+  }
+}
+
+// Decide which remote each branch of a stack lives on. A remote that was asked for (flag, variable or stack
+// config) wins: `baseRemote` for the first branch, `remote` for the others. Otherwise a branch goes by its
+// configured upstream when it has one, else lives on `remote` (origin when it isn't given).
+function configureRemotes(branches, { remote, baseRemote } = {}) {
+  defaultRemote = remote || 'origin'
+  branchRemotes = {}
+  branches.forEach((branch, index) => {
+    const chosen = index === 0 ? baseRemote : remote
+    const upstream = getConfiguredUpstream(branch)
+    // An upstream on the chosen remote still says what the branch is called there
+    if (chosen && (!upstream || upstream.remote !== chosen)) {
+      branchRemotes[branch] = { remote: chosen, name: branch }
+    } else {
+      branchRemotes[branch] = upstream || { remote: defaultRemote, name: branch }
+    }
+  })
+}
+
+function getDefaultRemote() {
+  return defaultRemote
+}
+
+// Where a branch lives on its remote
+function getUpstream(branchName) {
+  return branchRemotes[branchName] || getConfiguredUpstream(branchName) || { remote: defaultRemote, name: branchName }
+}
+
+// The remote-tracking name for a branch, e.g. upstream/master
+function getRemoteRef(branchName) {
+  const { remote, name } = getUpstream(branchName)
+  return `${remote}/${name}`
+}
+
+// Every remote the configured stack uses
+function getStackRemotes() {
+  const remotes = Object.values(branchRemotes).map(({ remote }) => remote)
+  return remotes.length > 0 ? [...new Set(remotes)] : [defaultRemote]
+}
+
+module.exports = {
+  configureRemotes,
+  getDefaultRemote,
+  getUpstream,
+  getRemoteRef,
+  getStackRemotes,
+}
@@ -0,0 +1,172 @@
+const { SYNC_EVENTS } = require('./events')
+
+// Colour only when a person is watching: stdout is a terminal and NO_COLOR (no-color.org) isn't set
+function shouldUseColor(stream = process.stdout) {
+  return Boolean(stream.isTTY) && !process.env.NO_COLOR
+}
+
+// Today's output: coloured, emoji-prefixed lines on stdout
+function createHumanReporter() {
+  return {
+    name: 'human',
+    machine: false,
+    color: shouldUseColor(),
+    writeLog(line) {
+      console.log(line)
+    },
+    attach() {},
+    finish() {},
+    printDocument() {},
+  }
+}
+
+// Describe an error for machine output
+function serializeError(error) {
+  if (!error) {
+    return null
+  }
+  const { name, code, message, phase, branch, sourceBranch } = error
+  return { name, code: code || null, message, phase, branch, sourceBranch }
+}
+
+// Status of the whole run for machine output
+function runStatus(result, error) {
+  if (result) {
+    return result.status
+  }
+  const statuses = {
+    CONFLICT: 'conflict',
+    VERIFY_FAILED: 'verify-failed',
+    HOOK_VETOED: 'vetoed',
+    INTERRUPTED: 'interrupted',
+  }
+  return (error && statuses[error.code]) || 'failed'
+}
+
+// A single JSON summary document on stdout once the run ends; progress lines go to stderr
+function createJsonReporter() {
+  const summary = {
+    strategy: null,
+    backupId: null,
+    branches: [],
+    landed: [],
+    updates: [],
+    conflicts: [],
+    verifications: [],
+    hooks: [],
+    pushes: [],
+    pullRequests: [],
+  }
+  const printDocument = (name, document) => {
+    process.stdout.write(`${JSON.stringify(document, null, 2)}\n`)
+  }
+
+  return {
+    name: 'json',
+    machine: true,
+    color: false,
+    writeLog(line) {
+      process.stderr.write(`${line}\n`)
+    },
+    attach(events) {
+      events.on('sync:start', ({ strategy }) => {
+        summary.strategy = strategy
+      })
+      events.on('backup', ({ id }) => {
+        summary.backupId = id
+      })
+      events.on('branch:status', (status) => {
+        summary.branches.push(status)
+      })
+      events.on('landed', ({ branches }) => {
+        summary.landed = branches
+      })
+      events.on('precheck', ({ conflicts }) => {
+        conflicts.forEach((conflict) => summary.conflicts.push({ phase: 'pre-check', ...conflict }))
+      })
+      events.on('conflict', (conflict) => {
+        summary.conflicts.push({ phase: 'sync', ...conflict })
+      })
+      events.on('branch:updated', (update) => {
+        summary.updates = summary.updates.filter((existing) => existing.branch !== update.branch).concat(update)
+      })
+      events.on('verify', (verification) => {
+        summary.verifications.push(verification)
+      })
+      events.on('hook', (hook) => {
+        summary.hooks.push(hook)
+      })
+      events.on('push', (push) => {
+        summary.pushes.push(push)
+      })
+      events.on('pull-request', (pullRequest) => {
+        summary.pullRequests.push(pullRequest)
+      })
+      events.on('sync:undone', ({ backupId, branches }) => {
+        summary.backupId = backupId
+        summary.updates = branches
+      })
+    },
+    finish(result, error) {
+      const document = {
+        status: runStatus(result, error),
+        ...summary,
+        landed: result && result.landed ? result.landed : summary.landed,
+        updates: result && result.status === 'completed' ? result.branches : summary.updates,
+        stashRestored: result ? result.stashRestored : null,
+        error: serializeError(error),
+      }
+      printDocument('sync', document)
+    },
+    printDocument,
+  }
+}
+
+// One JSON object per line on stdout for every step as it happens; progress lines go to stderr
+function createNdjsonReporter() {
+  const write = (event, payload) => {
+    process.stdout.write(`${JSON.stringify({ event, time: new Date().toISOString(), ...payload })}\n`)
+  }
+
+  return {
+    name: 'ndjson',
+    machine: true,
+    color: false,
+    writeLog(line) {
+      process.stderr.write(`${line}\n`)
+    },
+    attach(events) {
+      SYNC_EVENTS.forEach((name) => {
+        events.on(name, (payload) => write(name, payload))
+      })
+    },
+    finish(result, error) {
+      if (error) {
+        write('sync:error', { status: runStatus(result, error), error: serializeError(error) })
+      }
+    },
+    // Documents that aren't part of a sync (e.g. `status`) go out as a single event
+    printDocument(name, document) {
+      write(name, document)
+    },
+  }
+}
+
+const REPORTERS = {
+  human: createHumanReporter,
+  json: createJsonReporter,
+  ndjson: createNdjsonReporter,
+}
+
+// Create a reporter by name: human, json or ndjson
+function createReporter(name = 'human') {
+  if (!REPORTERS[name]) {
+    throw new Error(`Unknown reporter "${name}". Use one of: ${Object.keys(REPORTERS).join(', ')}`)
+  }
+  return REPORTERS[name]()
+}
+
+module.exports = {
+  createReporter,
+  shouldUseColor,
+}
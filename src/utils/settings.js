@@ -0,0 +1,187 @@
+const path = require('path')
+const { loadConfig, findStackName, getConfigPath } = require('./config')
+const { ConfigError } = require('./errors')
+const { DEFAULT_API_URL } = require('./github')
+
+// What every setting is when nothing else says otherwise
+const DEFAULTS = {
+  strategy: 'merge',
+  preConflictCheck: true,
+  strictMode: true,
+  autoPush: false,
+  nonInteractive: false,
+  worktree: false,
+  includeUntracked: false,
+  verify: [],
+  hooks: {},
+  pullRequests: { enabled: false },
+}
+
+// STACKED_PR_SYNC_* variables, the setting each one sets and the values it takes (null for on/off)
+const ENV_SETTINGS = {
+  STACKED_PR_SYNC_STRATEGY: { key: 'strategy', values: ['merge', 'rebase'] },
+  STACKED_PR_SYNC_REMOTE: { key: 'remote' },
+  STACKED_PR_SYNC_BASE_REMOTE: { key: 'baseRemote' },
+  STACKED_PR_SYNC_PRE_CONFLICT_CHECK: { key: 'preConflictCheck', values: null },
+  STACKED_PR_SYNC_STRICT_MODE: { key: 'strictMode', values: null },
+  STACKED_PR_SYNC_AUTO_PUSH: { key: 'autoPush', values: null },
+  STACKED_PR_SYNC_NON_INTERACTIVE: { key: 'nonInteractive', values: null },
+  STACKED_PR_SYNC_WORKTREE: { key: 'worktree', values: null },
+  STACKED_PR_SYNC_INCLUDE_UNTRACKED: { key: 'includeUntracked', values: null },
+  STACKED_PR_SYNC_ORIGIN_SYNC: { key: 'originSync', values: ['auto', 'skip', 'abort'] },
+  STACKED_PR_SYNC_PUSH: { key: 'push', values: ['all', 'none'] },
+  STACKED_PR_SYNC_REMOVE_LANDED: { key: 'removeLanded', values: ['yes', 'no'] },
+  STACKED_PR_SYNC_VERIFY: { key: 'verify' },
+  STACKED_PR_SYNC_VERIFY_FAILURE: { key: 'verifyFailure', values: ['rollback', 'keep'] },
+  STACKED_PR_SYNC_PULL_REQUESTS: { key: 'pullRequests', values: null },
+}
+
+const TRUE_VALUES = ['1', 'true', 'yes', 'on']
+const FALSE_VALUES = ['0', 'false', 'no', 'off']
+
+// The hooks of a config `settings` block, with plugin paths made relative to the config file rather than to
+// wherever the sync is run from
+function fromConfigHooks(hooks) {
+  if (!hooks || !hooks.plugins) {
+    return hooks
+  }
+  const configDir = path.dirname(getConfigPath())
+  const plugins = hooks.plugins.map((plugin) => (plugin.startsWith('.') ? path.resolve(configDir, plugin) : plugin))
+  return { ...hooks, plugins }
+}
+
+// The layer a config `settings` block adds: on/off toggles become booleans, preset answers move up a level
+function fromConfigSettings(settings = {}) {
+  const enabled = (name) => (settings[name] ? settings[name].enabled : undefined)
+  const answers = settings.answers || {}
+  return {
+    preConflictCheck: enabled('preConflictCheck'),
+    strictMode: enabled('strictMode'),
+    autoPush: enabled('autoPush'),
+    nonInteractive: enabled('nonInteractive'),
+    worktree: enabled('worktree'),
+    includeUntracked: enabled('includeUntracked'),
+    originSync: answers.originSync,
+    push: answers.push,
+    removeLanded: answers.removeLanded,
+    verifyFailure: answers.verifyFailure,
+    verify: settings.verify ? settings.verify.commands : undefined,
+    hooks: fromConfigHooks(settings.hooks),
+    pullRequests: settings.pullRequests,
+  }
+}
+
+// The layer the STACKED_PR_SYNC_* environment variables add. Throws a ConfigError for values they don't take.
+function fromEnvironment(env) {
+  const layer = {}
+  const problems = []
+  for (const [name, { key, values }] of Object.entries(ENV_SETTINGS)) {
+    const value = env[name]
+    if (value === undefined || value === '') {
+      continue
+    }
+
+    if (values === null) {
+      const normalized = value.toLowerCase()
+      if (TRUE_VALUES.includes(normalized) || FALSE_VALUES.includes(normalized)) {
+        const on = TRUE_VALUES.includes(normalized)
+        layer[key] = key === 'pullRequests' ? { enabled: on } : on
+      } else {
+        problems.push({ path: name, line: null, message: `must be true or false (got "${value}")` })
+      }
+    } else if (values && !values.includes(value)) {
+      problems.push({ path: name, line: null, message: `must be one of: ${values.join(', ')} (got "${value}")` })
+    } else {
+      layer[key] = value
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError('environment', problems)
+  }
+  return layer
+}
+
+// The layer options (command line flags or API options) add. pullRequests may be true, false or settings.
+function fromOptions(options) {
+  const layer = {}
+  const keys = [
+    'strategy', 'remote', 'baseRemote', 'preConflictCheck', 'strictMode', 'autoPush', 'nonInteractive',
+    'worktree', 'includeUntracked', 'originSync', 'push', 'removeLanded', 'verify', 'verifyFailure',
+  ]
+  keys.forEach((key) => {
+    layer[key] = options[key]
+  })
+  // Hooks are only configured in the config file (code adds plugins instead), but can be turned off
+  if (options.hooks === false) {
+    layer.hooks = false
+  }
+  if (typeof options.pullRequests === 'boolean') {
+    layer.pullRequests = { enabled: options.pullRequests }
+  } else if (options.pullRequests) {
+    layer.pullRequests = { enabled: true, ...options.pullRequests }
+  }
+  return layer
+}
+
+// Lay `layer` over `settings`; anything the layer leaves undefined keeps its value from below. Pull request
+// settings and hooks are laid over key by key (a stack's postMerge hooks replace the repository's, and leave its
+// preSync hooks alone); hooks: false turns every hook off.
+// A layer that turns autoPush on or off without a push answer of its own answers the push question too.
+function applyLayer(settings, layer) {
+  const merged = { ...settings }
+  for (const [key, value] of Object.entries(layer)) {
+    if (value === undefined) {
+      continue
+    }
+    const byKey = key === 'pullRequests' || (key === 'hooks' && value !== false)
+    merged[key] = byKey ? { ...settings[key], ...value } : value
+  }
+  if (layer.autoPush !== undefined && layer.push === undefined) {
+    merged.push = layer.autoPush ? 'all' : undefined
+  }
+  return merged
+}
+
+// Work out every setting for a run. Each layer overrides the ones before it:
+//   defaults < config settings < the stack's own settings < STACKED_PR_SYNC_* variables < options
+// The stack is `options.stackName`, or the configured stack with exactly these branches.
+function resolveSettings(options = {}, { branches = [], env = process.env } = {}) {
+  const config = loadConfig()
+  const stackName = options.stackName || findStackName(config, branches)
+  const stack = (config && stackName && config.stacks[stackName]) || {}
+
+  const layers = [
+    fromConfigSettings(config ? config.settings : undefined),
+    {
+      strategy: stack.strategy,
+      remote: stack.remote,
+      baseRemote: stack.baseRemote,
+      ...fromConfigSettings(stack.settings),
+    },
+    fromEnvironment(env),
+    fromOptions(options),
+  ]
+  const settings = layers.reduce(applyLayer, DEFAULTS)
+
+  settings.stackName = stackName || null
+  // One command (a variable, or a single string from the API) becomes a list; false (--no-verify) stays false,
+  // so a paused sync knows its checks were turned off rather than never given
+  if (typeof settings.verify === 'string') {
+    settings.verify = [settings.verify]
+  }
+  if (typeof settings.removeLanded === 'string') {
+    settings.removeLanded = settings.removeLanded === 'yes'
+  }
+  settings.pullRequests = {
+    tokenEnv: 'GITHUB_TOKEN',
+    repository: null,
+    ...settings.pullRequests,
+    apiUrl: settings.pullRequests.apiUrl || env.GITHUB_API_URL || DEFAULT_API_URL,
+  }
+  return settings
+}
+
+module.exports = {
+  resolveSettings,
+}
@@ -0,0 +1,34 @@
+const { spawnSync } = require('child_process')
+const { getWorkTree } = require('./git-runner')
+const { noteInterrupt } = require('./interrupt')
+
+// Run a command from the config or the command line through the shell (they are written like
+// `npm test && npm run lint`) in the working tree the sync is updating branches in. `env` is added to the
+// environment and `input` written to the command's stdin. Returns { status, signal, output, seconds }; status
+// is null when it couldn't run or was stopped by a signal.
+function runShellCommand(command, { env = {}, input = '' } = {}) {
+  const started = Date.now()
+  const result = spawnSync(command, {
+    shell: true,
+    cwd: getWorkTree() || undefined,
+    env: { ...process.env, ...env },
+    input,
+    encoding: 'utf8',
+    maxBuffer: 256 * 1024 * 1024,
+    stdio: ['pipe', 'pipe', 'pipe'],
+  })
+  // Ctrl-C reaches the command as well as us
+  if (result.signal === 'SIGINT' || result.signal === 'SIGTERM') {
+    noteInterrupt(result.signal)
+  }
+
+  // A command that exits without reading its input is not an error
+  const failed = result.error && result.error.code !== 'EPIPE'
+  const output = failed ? result.error.message : `${result.stdout || ''}${result.stderr || ''}`
+  const seconds = Number(((Date.now() - started) / 1000).toFixed(1))
+  return { status: failed ? null : result.status, signal: result.signal, output, seconds }
+}
+
+module.exports = {
+  runShellCommand,
+}
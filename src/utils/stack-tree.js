@@ -0,0 +1,116 @@
+const { StackedPRSyncError } = require('./errors')
+
+// Work out every branch's parent. A stack is a flat list where each branch sits on the one before it,
+// unless `parents` names another branch of the stack (so a branch can have several children).
+// Returns the branches in topological order, parents before children and otherwise in list order.
+function resolveStackTree(branches, parents = {}) {
+  if (branches.length === 0) {
+    return { branches, parents: {} }
+  }
+  const resolved = {}
+  branches.forEach((branch, index) => {
+    if (index > 0) {
+      resolved[branch] = parents[branch] || branches[index - 1]
+    }
+  })
+
+  for (const [branch, parent] of Object.entries(parents)) {
+    if (!branches.includes(branch)) {
+      throw new StackedPRSyncError(`parents lists ${branch}, which is not in the stack`, 'INVALID_STACK')
+    }
+    if (branch === branches[0]) {
+      throw new StackedPRSyncError(`${branch} is the base of the stack and cannot have a parent`, 'INVALID_STACK')
+    }
+    if (!branches.includes(parent)) {
+      throw new StackedPRSyncError(`The parent of ${branch}, ${parent}, is not in the stack`, 'INVALID_STACK')
+    }
+  }
+
+  const order = [branches[0]]
+  while (order.length < branches.length) {
+    const next = branches.find((branch) => !order.includes(branch) && order.includes(resolved[branch]))
+    if (!next) {
+      const looped = branches.filter((branch) => !order.includes(branch))
+      throw new StackedPRSyncError(`The parents of ${looped.join(', ')} go round in a circle`, 'INVALID_STACK')
+    }
+    order.push(next)
+  }
+
+  return { branches: order, parents: resolved }
+}
+
+// The config form of a tree: branches with parents first (otherwise in the given order), and `parents` only
+// for the branches that don't sit on the one listed before them
+function flattenStackTree(branches, parents) {
+  const order = resolveStackTree(branches, parents).branches
+  const explicit = {}
+  order.forEach((branch, index) => {
+    if (index > 0 && parents[branch] !== order[index - 1]) {
+      explicit[branch] = parents[branch]
+    }
+  })
+  return { branches: order, parents: explicit }
+}
+
+// Branches built directly on `branch`, in stack order
+function getChildren(branches, parents, branch) {
+  return branches.filter((candidate) => parents[candidate] === branch)
+}
+
+// Every branch built on `branch`, directly or further up
+function getDescendants(branches, parents, branch) {
+  const descendants = []
+  branches.forEach((candidate) => {
+    if (parents[candidate] === branch || descendants.includes(parents[candidate])) {
+      descendants.push(candidate)
+    }
+  })
+  return descendants
+}
+
+// The chain from the base of the stack up to `branch`
+function getLineage(parents, branch) {
+  const lineage = [branch]
+  while (parents[lineage[0]]) {
+    lineage.unshift(parents[lineage[0]])
+  }
+  return lineage
+}
+
+// One-line description: "main → a → b" for a chain, "main → a → (b | c → d)" where it forks
+function formatStack(branches, parents) {
+  const describe = (branch) => {
+    const children = getChildren(branches, parents, branch)
+    if (children.length === 0) {
+      return branch
+    }
+    const above = children.length === 1 ? describe(children[0]) : `(${children.map(describe).join(' | ')})`
+    return `${branch} → ${above}`
+  }
+  return describe(branches[0])
+}
+
+// Draw the stack as a tree, one line per branch, base first
+function drawStackTree(branches, parents) {
+  const lines = [branches[0]]
+  const draw = (branch, indent) => {
+    const children = getChildren(branches, parents, branch)
+    children.forEach((child, index) => {
+      const last = index === children.length - 1
+      lines.push(`${indent}${last ? '└─ ' : '├─ '}${child}`)
+      draw(child, `${indent}${last ? '   ' : '│  '}`)
+    })
+  }
+  draw(branches[0], '')
+  return lines
+}
+
+module.exports = {
+  resolveStackTree,
+  flattenStackTree,
+  getChildren,
+  getDescendants,
+  getLineage,
+  formatStack,
+  drawStackTree,
+}
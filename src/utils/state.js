@@ -0,0 +1,42 @@
+const fs = require('fs')
+const { getGitPath } = require('./git')
+
+// Progress of a paused sync is kept in the git directory every worktree shares, so a sync paused in its
+// own worktree can be continued or aborted from the user's checkout
+const STATE_FILE = 'stacked-pr-sync-state.json'
+
+// Save sync progress so it can be continued or aborted later
+function saveSyncState(state) {
+  const statePath = getGitPath(STATE_FILE, { common: true })
+  fs.writeFileSync(statePath, JSON.stringify({ ...state, savedAt: new Date().toISOString() }, null, 2))
+}
+
+// Load saved sync progress, or null if no sync is paused
+function loadSyncState() {
+  const statePath = getGitPath(STATE_FILE, { common: true })
+
+  if (!fs.existsSync(statePath)) {
+    return null
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(statePath, 'utf8'))
+  } catch (error) {
+    throw new Error(`Sync state file is unreadable: ${statePath}. Delete it to start a fresh sync.`)
+  }
+}
+
+// Remove saved sync progress once the sync has finished or been aborted
+function clearSyncState() {
+  const statePath = getGitPath(STATE_FILE, { common: true })
+
+  if (fs.existsSync(statePath)) {
+    fs.unlinkSync(statePath)
+  }
+}
+
+module.exports = {
+  saveSyncState,
+  loadSyncState,
+  clearSyncState,
+}
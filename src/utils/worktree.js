@@ -0,0 +1,75 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { runGit, setWorkTree } = require('./git-runner')
+const { isAncestor } = require('./git')
+const { logInfo } = require('./logger')
+
+// Create a temporary worktree, detached at `commit`, and run every following git command in it
+function createSyncWorktree(commit) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stacked-pr-sync-'))
+  runGit(['worktree', 'add', '--detach', dir, commit], { show: true })
+  setWorkTree(dir)
+  logInfo(`Syncing in a temporary worktree: ${dir}`)
+  return dir
+}
+
+// Go back to the worktree a paused sync left behind. Returns false when it has been deleted since.
+function resumeSyncWorktree(dir) {
+  if (!fs.existsSync(dir)) {
+    return false
+  }
+  setWorkTree(dir)
+  return true
+}
+
+// Remove the temporary worktree and run git in the current directory again
+function removeSyncWorktree(dir) {
+  setWorkTree(null)
+  const { status } = runGit(['worktree', 'remove', '--force', dir], { show: true, allowFailure: true })
+  if (status !== 0) {
+    // Already deleted by hand, or locked: clear what's left and let git forget it
+    fs.rmSync(dir, { recursive: true, force: true })
+    runGit(['worktree', 'prune'], { allowFailure: true })
+  }
+}
+
+// Whether `branch` is still the branch checked out in the worktree at `dir`
+function isCheckedOutIn(branch, dir) {
+  const { stdout, status } = runGit(['symbolic-ref', '--quiet', '--short', 'HEAD'], { cwd: dir, allowFailure: true })
+  return status === 0 && stdout.trim() === branch
+}
+
+// Move a branch that is checked out in another worktree from `before` to `after`, but only as a fast-forward
+// git does in that worktree, so its files follow and local changes are never overwritten.
+// Returns null when the branch moved, or the reason it couldn't.
+function fastForwardCheckedOut(branch, dir, before, after) {
+  if (!isCheckedOutIn(branch, dir)) {
+    return `no longer checked out in ${dir}`
+  }
+  if (!isAncestor(before, after)) {
+    return `checked out in ${dir}, and the update is not a fast-forward`
+  }
+  const { status, stderr } = runGit(['merge', '--ff-only', after], { cwd: dir, show: true, allowFailure: true })
+  const reason = stderr.trim().split('\n')[0].replace(/^(error|fatal): /, '')
+  return status === 0 ? null : `checked out in ${dir}, and fast-forwarding it failed: ${reason}`
+}
+
+// Put a branch that is checked out in another worktree back to `commit`, keeping that worktree's local changes
+// (git refuses when they touch files that would change). Returns null when it moved, or the reason it couldn't.
+function resetCheckedOut(branch, dir, commit) {
+  if (!isCheckedOutIn(branch, dir)) {
+    return `no longer checked out in ${dir}`
+  }
+  const { status, stderr } = runGit(['reset', '--keep', commit], { cwd: dir, show: true, allowFailure: true })
+  const reason = stderr.trim().split('\n')[0].replace(/^(error|fatal): /, '')
+  return status === 0 ? null : `checked out in ${dir}, and resetting it failed: ${reason}`
+}
+
+module.exports = {
+  createSyncWorktree,
+  resumeSyncWorktree,
+  removeSyncWorktree,
+  fastForwardCheckedOut,
+  resetCheckedOut,
+}
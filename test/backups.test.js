@@ -0,0 +1,62 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { QUIET_SYNC, createStackRepo } = require('./helpers/repo')
+const { createBackup, listBackups } = require('../src/services/backups')
+
+const STACK = ['master', 'feature1', 'feature2']
+
+test('undo puts every branch back where it was before the sync', (t) => {
+  const repo = createStackRepo(t, ['feature1', 'feature2'])
+  const before = STACK.map((branch) => repo.tip(branch))
+  const synced = repo.run([...STACK, ...QUIET_SYNC, '--json'])
+  assert.strictEqual(synced.status, 0, synced.output)
+  const { backupId } = synced.json()
+  assert.notDeepStrictEqual(STACK.map((branch) => repo.tip(branch)), before)
+
+  repo.git('checkout', '-q', 'feature2')
+  const undone = repo.run(['undo', '--json'])
+  assert.strictEqual(undone.status, 0, undone.output)
+  assert.strictEqual(undone.json().backupId, backupId)
+  assert.deepStrictEqual(STACK.map((branch) => repo.tip(branch)), before)
+  // Back on the branch the sync started from
+  assert.strictEqual(repo.git('rev-parse', '--abbrev-ref', 'HEAD'), 'master')
+})
+
+test('backups prune --keep deletes all but the newest backups', (t) => {
+  const repo = createStackRepo(t, ['feature1', 'feature2'])
+  assert.strictEqual(repo.run([...STACK, ...QUIET_SYNC]).status, 0)
+  assert.strictEqual(repo.run([...STACK, ...QUIET_SYNC]).status, 0)
+  const [newest, oldest] = repo.run(['backups', '--json']).json().backups.map(({ id }) => id)
+  assert.ok(oldest)
+
+  const pruned = repo.run(['backups', 'prune', '--keep', '1', '--json'])
+  assert.strictEqual(pruned.status, 0, pruned.output)
+  assert.deepStrictEqual(pruned.json().pruned.map(({ id }) => id), [oldest])
+  assert.deepStrictEqual(repo.run(['backups', '--json']).json().backups.map(({ id }) => id), [newest])
+  assert.strictEqual(repo.git('for-each-ref', `refs/stacked-pr-sync/backup/${oldest}`), '')
+})
+
+test('a sync that fails before moving any branch leaves no backup', (t) => {
+  const repo = createStackRepo(t, ['feature1', 'feature2'])
+  // The pre-check finds this conflict before anything is merged
+  repo.commit('feature2.txt', 'master\'s feature2\n', 'Master adds feature2.txt')
+
+  const result = repo.run([...STACK, ...QUIET_SYNC, '--json'])
+  assert.strictEqual(result.status, 1, result.output)
+  assert.deepStrictEqual(repo.run(['backups', '--json']).json().backups, [])
+})
+
+test('only the newest 10 backups are kept', (t) => {
+  const repo = createStackRepo(t, ['feature1'])
+  const originalTips = { master: repo.tip('master'), feature1: repo.tip('feature1') }
+  const ids = repo.within(() => Array.from({ length: 12 }, () => createBackup({
+    branches: ['master', 'feature1'],
+    originalTips,
+    originalBranch: 'master',
+    originalHead: originalTips.master,
+    stashSha: null,
+  }).id))
+
+  const kept = repo.within(() => listBackups().map(({ id }) => id))
+  assert.deepStrictEqual(kept, ids.slice(2).reverse())
+})
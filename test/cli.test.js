@@ -0,0 +1,24 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { QUIET_SYNC, createStackRepo } = require('./helpers/repo')
+
+test('a failure names the command that failed, and only a sync gets the sync tips', (t) => {
+  const repo = createStackRepo(t)
+  repo.writeConfig({ defaultStack: 'mine', stacks: { mine: { branches: ['master', 'feature1'] } } })
+
+  const stack = repo.run(['stack', 'add', 'nosuch'])
+  assert.strictEqual(stack.status, 1)
+  assert.match(stack.output, /❌ stack add failed: Branch not found/)
+  assert.doesNotMatch(stack.output, /Sync failed|Troubleshooting/)
+
+  const continued = repo.run(['--continue'])
+  assert.strictEqual(continued.status, 1)
+  assert.match(continued.output, /❌ sync --continue failed: No paused sync found/)
+
+  // An untracked file in the way of a checkout is not one of ours, so the tips are shown
+  repo.write('feature1.txt', 'in the way\n')
+  const sync = repo.run(['master', 'feature1', ...QUIET_SYNC])
+  assert.strictEqual(sync.status, 1)
+  assert.match(sync.output, /❌ sync failed: .*would be overwritten by checkout/)
+  assert.match(sync.output, /Troubleshooting/)
+})
@@ -0,0 +1,123 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { createRepo, createStackRepo } = require('./helpers/repo')
+const { resolveSettings } = require('../src/utils/settings')
+
+test('stack edits rewrite only the values that change', (t) => {
+  const repo = createStackRepo(t)
+  const compact = '{"defaultStack":"mine","stacks":{"mine":{"branches":["master","feature1"]},' +
+    '"other":{"branches":["master","feature2","feature3"],"description":"kept as is"}}}\n'
+  repo.writeConfig(compact)
+
+  const added = repo.run(['stack', 'add', 'feature2'])
+  assert.strictEqual(added.status, 0, added.output)
+  assert.strictEqual(repo.readConfig(), compact.replace('"feature1"]', '"feature1","feature2"]'))
+
+  const removed = repo.run(['stack', 'remove', 'feature2', '--stack', 'other'])
+  assert.strictEqual(removed.status, 0, removed.output)
+  assert.strictEqual(repo.readConfig(), compact.replace('"feature1"]', '"feature1","feature2"]')
+    .replace('["master","feature2","feature3"]', '["master","feature3"]'))
+})
+
+test('new entries follow the layout of the file', (t) => {
+  const repo = createStackRepo(t)
+  const lines = (...text) => `${text.join('\n')}\n`
+  repo.writeConfig(lines(
+    '{',
+    '    "stacks": {',
+    '        "mine": {',
+    '            "branches": ["master", "feature1"]',
+    '        }',
+    '    }',
+    '}'
+  ))
+
+  const created = repo.run(['stack', 'create', 'next', 'master', 'feature2', 'feature3'])
+  assert.strictEqual(created.status, 0, created.output)
+  assert.strictEqual(repo.readConfig(), lines(
+    '{',
+    '    "stacks": {',
+    '        "mine": {',
+    '            "branches": ["master", "feature1"]',
+    '        },',
+    '        "next": {',
+    '            "branches": ["master", "feature2", "feature3"]',
+    '        }',
+    '    }',
+    '}'
+  ))
+})
+
+test('stack list and show print a document with --json and nothing else on stdout', (t) => {
+  const repo = createRepo(t)
+  repo.writeConfig({ defaultStack: 'mine', stacks: { mine: { branches: ['master', 'feature1'] } } })
+
+  const list = repo.run(['stack', 'list', '--json'])
+  assert.strictEqual(list.status, 0, list.output)
+  assert.deepStrictEqual(list.json(), { stacks: { mine: { branches: ['master', 'feature1'] } }, defaultStack: 'mine' })
+  assert.match(list.stderr, /Branches: master → feature1/)
+
+  const show = repo.run(['stack', 'show', 'mine', '--json'])
+  assert.strictEqual(show.status, 0, show.output)
+  assert.deepStrictEqual(show.json(), { name: 'mine', stack: { branches: ['master', 'feature1'] } })
+
+  const config = repo.run(['stack', 'show', '--ndjson'])
+  assert.strictEqual(config.status, 0, config.output)
+  assert.strictEqual(JSON.parse(config.stdout).event, 'config')
+
+  const missing = repo.run(['stack', 'show', 'nope', '--json'])
+  assert.strictEqual(missing.status, 1)
+  assert.strictEqual(missing.stdout, '')
+})
+
+const LAYERED_CONFIG = {
+  settings: { strictMode: { enabled: false }, worktree: { enabled: true } },
+  stacks: {
+    mine: {
+      branches: ['master', 'feature1'],
+      strategy: 'rebase',
+      settings: { worktree: { enabled: false }, includeUntracked: { enabled: true } },
+    },
+  },
+}
+
+test('settings are layered: defaults, config, stack, environment, options', (t) => {
+  const repo = createRepo(t)
+  repo.writeConfig(LAYERED_CONFIG)
+  const branches = ['master', 'feature1']
+
+  repo.within(() => {
+    const configured = resolveSettings({}, { branches, env: {} })
+    assert.strictEqual(configured.stackName, 'mine')
+    assert.strictEqual(configured.preConflictCheck, true, 'default')
+    assert.strictEqual(configured.strictMode, false, 'config settings')
+    assert.strictEqual(configured.worktree, false, 'the stack wins over the config settings')
+    assert.strictEqual(configured.includeUntracked, true, 'stack settings')
+    assert.strictEqual(configured.strategy, 'rebase', 'stack')
+
+    const env = { STACKED_PR_SYNC_STRATEGY: 'merge', STACKED_PR_SYNC_STRICT_MODE: 'true' }
+    const fromEnv = resolveSettings({}, { branches, env })
+    assert.strictEqual(fromEnv.strategy, 'merge', 'the environment wins over the stack')
+    assert.strictEqual(fromEnv.strictMode, true, 'the environment wins over the config settings')
+
+    const fromOptions = resolveSettings({ strategy: 'rebase', strictMode: false }, { branches, env })
+    assert.strictEqual(fromOptions.strategy, 'rebase', 'options win over the environment')
+    assert.strictEqual(fromOptions.strictMode, false)
+  })
+})
+
+test('an invalid config is reported with its line and column', (t) => {
+  const repo = createRepo(t)
+  repo.writeConfig([
+    '{',
+    '  "stacks": {',
+    '    "mine": { "branches": ["master", "feature1"], "strategy": "squash" }',
+    '  }',
+    '}',
+    '',
+  ].join('\n'))
+
+  const result = repo.run(['mine', '--yes'])
+  assert.strictEqual(result.status, 1)
+  assert.match(result.output, /stacked-pr-config\.json:3:\d+: stacks\.mine\.strategy must be one of: merge, rebase/)
+})
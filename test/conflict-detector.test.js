@@ -0,0 +1,50 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { QUIET_SYNC, createStackRepo } = require('./helpers/repo')
+
+const STACK = ['master', 'feature1', 'feature2', 'feature3']
+
+test('the pre-check finds nothing in a stack that merges cleanly', (t) => {
+  const repo = createStackRepo(t)
+  const result = repo.run([...STACK, ...QUIET_SYNC, '--json'])
+
+  assert.strictEqual(result.status, 0, result.output)
+  assert.deepStrictEqual(result.json().conflicts, [])
+})
+
+test('the pre-check follows master up the stack and names where a conflict comes from', (t) => {
+  const repo = createStackRepo(t)
+  // Only feature2 has this file, so the conflict appears once master has flowed through feature1
+  repo.commit('feature2.txt', 'master\'s feature2\n', 'Master adds feature2.txt')
+  const before = STACK.map((branch) => repo.tip(branch))
+
+  const result = repo.run([...STACK, ...QUIET_SYNC, '--json'])
+  assert.strictEqual(result.status, 1, result.output)
+  const summary = result.json()
+  assert.strictEqual(summary.status, 'conflict')
+  const [conflict] = summary.conflicts
+  assert.strictEqual(summary.conflicts.length, 1)
+  assert.deepStrictEqual(
+    [conflict.phase, conflict.sourceBranch, conflict.targetBranch, conflict.originBranch],
+    ['pre-check', 'feature1', 'feature2', 'master']
+  )
+  assert.deepStrictEqual(conflict.files.map(({ path, type }) => [path, type]), [['feature2.txt', 'add/add']])
+  // Nothing moved, and the checkout is untouched
+  assert.deepStrictEqual(STACK.map((branch) => repo.tip(branch)), before)
+  assert.strictEqual(repo.git('rev-parse', '--abbrev-ref', 'HEAD'), 'master')
+  assert.strictEqual(repo.git('status', '--porcelain'), '')
+})
+
+test('the pre-check reports modify/delete conflicts', (t) => {
+  const repo = createStackRepo(t)
+  repo.git('checkout', '-q', 'feature1')
+  repo.commit('base.txt', 'feature1\'s base\n', 'Edit base')
+  repo.git('checkout', '-q', 'master')
+  repo.git('rm', '-q', 'base.txt')
+  repo.git('commit', '-q', '-m', 'Drop base')
+
+  const result = repo.run([...STACK, ...QUIET_SYNC, '--json'])
+  assert.strictEqual(result.status, 1, result.output)
+  const [conflict] = result.json().conflicts
+  assert.deepStrictEqual(conflict.files.map(({ path, type }) => [path, type]), [['base.txt', 'modify/delete']])
+})
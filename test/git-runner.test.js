@@ -0,0 +1,15 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { QUIET_SYNC, createStackRepo } = require('./helpers/repo')
+
+test('a branch name with shell syntax is rejected before git runs', (t) => {
+  const repo = createStackRepo(t, ['feature1'])
+  const before = repo.git('for-each-ref')
+
+  const result = repo.run(['master', 'f1;touch x', ...QUIET_SYNC, '--json'])
+  assert.strictEqual(result.status, 1, result.output)
+  const { error } = result.json()
+  assert.deepStrictEqual([error.code, error.message], ['INVALID_NAME', 'Invalid branch name: "f1;touch x"'])
+  assert.ok(!repo.exists('x'), 'nothing went through a shell')
+  assert.strictEqual(repo.git('for-each-ref'), before, 'no ref was touched, not even a backup')
+})
@@ -0,0 +1,98 @@
+const http = require('http')
+const path = require('path')
+
+const TOKEN = 'test-token'
+
+// Point `remote` at a bare copy of origin.git under <dir>/<owner>/<repo>.git, adding the remote if it is new, so
+// its URL names the GitHub repository `fullName` ("owner/repo")
+function hostRepository(repo, remote, fullName) {
+  const target = path.join(repo.dir, `${fullName}.git`)
+  repo.git('clone', '-q', '--bare', path.join(repo.dir, 'origin.git'), target)
+  const exists = repo.git('remote').split('\n').includes(remote)
+  repo.git('remote', exists ? 'set-url' : 'add', remote, target)
+  repo.git('fetch', '-q', remote)
+}
+
+// An open pull request as the API describes it
+function pullRequest(fullName, number, head, base, body = '') {
+  return {
+    number,
+    state: 'open',
+    title: head,
+    body,
+    head: { label: head, ref: head.split(':')[1] },
+    base: { ref: base },
+    html_url: `https://github.com/${fullName}/pull/${number}`,
+  }
+}
+
+// Answer one API call from the pull requests in `pulls`; returns [status, reply]
+function route(pulls, method, url, body) {
+  const match = url.pathname.match(/^\/repos\/([^/]+\/[^/]+?)(\/pulls(?:\/(\d+))?)?$/)
+  if (!match) {
+    return [404, { message: 'Not Found' }]
+  }
+  const [, fullName, pullsPath, number] = match
+  const list = (pulls[fullName] = pulls[fullName] || [])
+
+  if (!pullsPath && method === 'GET') {
+    return [200, { full_name: fullName, default_branch: 'master' }]
+  }
+  if (pullsPath && !number && method === 'GET') {
+    return [200, list.filter((pull) => pull.state === 'open' && pull.head.label === url.searchParams.get('head'))]
+  }
+  if (pullsPath && !number && method === 'POST') {
+    const created = pullRequest(fullName, 100 + list.length, body.head, body.base, body.body)
+    list.push({ ...created, title: body.title })
+    return [201, list[list.length - 1]]
+  }
+  const existing = list.find((pull) => pull.number === Number(number))
+  if (existing && method === 'PATCH') {
+    if (body.base) {
+      existing.base = { ref: body.base }
+    }
+    if (body.body !== undefined) {
+      existing.body = body.body
+    }
+    return [200, existing]
+  }
+  return [404, { message: 'Not Found' }]
+}
+
+// A stand-in for the GitHub API on a local port, serving the pull requests in `pulls` ({ 'owner/repo': [...] },
+// changed in place as the CLI creates and edits them). Stopped when the test ends. Resolves with { env, pulls,
+// requests }: env points the CLI at it, and requests lists every call as { method, path, body }.
+async function startGitHubStub(t, pulls = {}) {
+  const requests = []
+  const server = http.createServer((request, response) => {
+    let data = ''
+    request.setEncoding('utf8')
+    request.on('data', (chunk) => {
+      data += chunk
+    })
+    request.on('end', () => {
+      const url = new URL(request.url, 'http://localhost')
+      const body = data ? JSON.parse(data) : null
+      requests.push({ method: request.method, path: `${url.pathname}${url.search}`, body })
+      const [status, reply] = request.headers.authorization === `Bearer ${TOKEN}`
+        ? route(pulls, request.method, url, body)
+        : [401, { message: 'Bad credentials' }]
+      response.writeHead(status, { 'Content-Type': 'application/json' })
+      response.end(JSON.stringify(reply))
+    })
+  })
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+  t.after(() => {
+    server.closeAllConnections()
+    server.close()
+  })
+
+  const env = { GITHUB_API_URL: `http://127.0.0.1:${server.address().port}`, GITHUB_TOKEN: TOKEN }
+  return { env, pulls, requests }
+}
+
+module.exports = {
+  hostRepository,
+  pullRequest,
+  startGitHubStub,
+}
@@ -0,0 +1,152 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { execFileSync, spawn, spawnSync } = require('child_process')
+
+const BIN = path.join(__dirname, '..', '..', 'bin', 'stacked-pr-sync.js')
+
+// Flags that keep a sync from asking anything or touching the remote
+const QUIET_SYNC = ['--yes', '--push=none', '--origin-sync=skip']
+
+// The environment of every git command and CLI run: no colour, no user or system git config, a fixed identity
+// and none of the STACKED_PR_SYNC_* variables of whoever runs the tests
+function testEnvironment(home) {
+  const env = Object.fromEntries(Object.entries(process.env).filter(([name]) => !name.startsWith('STACKED_PR_SYNC_')))
+  return {
+    ...env,
+    HOME: home,
+    NO_COLOR: '1',
+    GIT_CONFIG_NOSYSTEM: '1',
+    GIT_AUTHOR_NAME: 'Test',
+    GIT_AUTHOR_EMAIL: 'test@example.com',
+    GIT_COMMITTER_NAME: 'Test',
+    GIT_COMMITTER_EMAIL: 'test@example.com',
+  }
+}
+
+// What a CLI run left behind: { status, stdout, stderr, output } and json() to parse stdout
+function describeRun(status, stdout, stderr) {
+  return {
+    status,
+    stdout,
+    stderr,
+    output: `${stdout}${stderr}`,
+    json: () => JSON.parse(stdout),
+  }
+}
+
+// A scratch repository for one test, removed when the test ends: a bare `origin` and a clone of it to work in,
+// with a first commit on master. Returns helpers that work in the clone.
+function createRepo(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stacked-pr-sync-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  const origin = path.join(dir, 'origin.git')
+  const work = path.join(dir, 'work')
+  const env = testEnvironment(dir)
+
+  const gitIn = (cwd, args) => execFileSync('git', args, { cwd, env, encoding: 'utf8', stdio: 'pipe' }).trim()
+  gitIn(dir, ['init', '-q', '--bare', origin])
+  gitIn(origin, ['symbolic-ref', 'HEAD', 'refs/heads/master'])
+  gitIn(dir, ['init', '-q', work])
+  gitIn(work, ['symbolic-ref', 'HEAD', 'refs/heads/master'])
+  gitIn(work, ['remote', 'add', 'origin', origin])
+  // Config files written by the tests are not changes a sync should stash
+  fs.appendFileSync(path.join(work, '.git', 'info', 'exclude'), 'stacked-pr-config.json\n')
+
+  const repo = {
+    dir,
+    work,
+    env,
+    // Run git in the clone and return its output
+    git: (...args) => gitIn(work, args),
+    // Write a file (relative to the clone) and commit it on the current branch
+    commit(file, content, message = `Change ${file}`) {
+      repo.write(file, content)
+      repo.git('add', file)
+      repo.git('commit', '-q', '-m', message)
+      return repo.tip('HEAD')
+    },
+    write(file, content) {
+      fs.mkdirSync(path.dirname(path.join(work, file)), { recursive: true })
+      fs.writeFileSync(path.join(work, file), content)
+    },
+    read: (file) => fs.readFileSync(path.join(work, file), 'utf8'),
+    exists: (file) => fs.existsSync(path.join(work, file)),
+    tip: (ref) => repo.git('rev-parse', ref),
+    push: (...branches) => repo.git('push', '-q', 'origin', ...branches),
+    // Whether `ancestor` is in the history of `ref`
+    contains(ref, ancestor) {
+      return spawnSync('git', ['merge-base', '--is-ancestor', ancestor, ref], { cwd: work, env }).status === 0
+    },
+    writeConfig(config) {
+      repo.write('stacked-pr-config.json', typeof config === 'string' ? config : `${JSON.stringify(config, null, 2)}\n`)
+    },
+    readConfig: () => repo.read('stacked-pr-config.json'),
+    // Call `fn` from the clone, for library functions that work on the repository in the current directory
+    within(fn) {
+      const previous = process.cwd()
+      process.chdir(work)
+      try {
+        return fn()
+      } finally {
+        process.chdir(previous)
+      }
+    },
+    // Run the CLI in the clone (see describeRun for what it returns)
+    run(args, { input = '', env: extra = {} } = {}) {
+      const result = spawnSync(process.execPath, [BIN, ...args], {
+        cwd: work,
+        env: { ...env, ...extra },
+        input,
+        encoding: 'utf8',
+        timeout: 60000,
+      })
+      return describeRun(result.status, result.stdout, result.stderr)
+    },
+    // Same as run, without blocking this process, for tests that answer the CLI's requests themselves
+    runAsync(args, { input = '', env: extra = {} } = {}) {
+      return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [BIN, ...args], { cwd: work, env: { ...env, ...extra } })
+        const timer = setTimeout(() => child.kill(), 60000)
+        let stdout = ''
+        let stderr = ''
+        child.stdout.setEncoding('utf8').on('data', (chunk) => {
+          stdout += chunk
+        })
+        child.stderr.setEncoding('utf8').on('data', (chunk) => {
+          stderr += chunk
+        })
+        child.on('error', reject)
+        child.on('close', (status) => {
+          clearTimeout(timer)
+          resolve(describeRun(status, stdout, stderr))
+        })
+        child.stdin.end(input)
+      })
+    },
+  }
+
+  repo.commit('base.txt', 'base\n', 'Base')
+  repo.push('master')
+  return repo
+}
+
+// A repository with a chain of branches on master, each adding <name>.txt and pushed, and then a commit on
+// master that none of them has yet
+function createStackRepo(t, branches = ['feature1', 'feature2', 'feature3']) {
+  const repo = createRepo(t)
+  branches.forEach((branch) => {
+    repo.git('checkout', '-q', '-b', branch)
+    repo.commit(`${branch}.txt`, `${branch}\n`, `${branch} work`)
+    repo.push(branch)
+  })
+  repo.git('checkout', '-q', 'master')
+  repo.commit('base.txt', 'base\nmore\n', 'Master update')
+  return repo
+}
+
+module.exports = {
+  QUIET_SYNC,
+  createRepo,
+  createStackRepo,
+}
@@ -0,0 +1,147 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const path = require('path')
+const { QUIET_SYNC, createStackRepo } = require('./helpers/repo')
+
+const STACK = ['master', 'feature1', 'feature2', 'feature3']
+const SYNC_AND_PUSH = ['--yes', '--origin-sync=skip', '--push=all', '--json']
+
+// A hook command that fails for `branch` only
+const vetoFor = (branch) => `test "$STACKED_PR_BRANCH" != ${branch}`
+
+// The push status of each branch (vetoes are reported before the pushes they let through)
+function pushStatuses(result) {
+  return Object.fromEntries(result.json().pushes.map(({ branch, status }) => [branch, status]))
+}
+
+// The tips of the stack's branches, in the clone or (with `gitDir`) in another repository
+function tips(repo, gitDir = null) {
+  const where = gitDir ? ['--git-dir', gitDir] : []
+  return Object.fromEntries(STACK.map((branch) => [branch, repo.git(...where, 'rev-parse', branch)]))
+}
+
+test('a preSync hook that exits non-zero calls the sync off before anything changes', (t) => {
+  const repo = createStackRepo(t)
+  repo.writeConfig({ settings: { hooks: { preSync: ['echo "not today" >&2; exit 3'] } } })
+  const before = tips(repo)
+
+  const result = repo.run([...STACK, ...QUIET_SYNC, '--json'])
+  assert.strictEqual(result.status, 1, result.output)
+  const summary = result.json()
+  assert.strictEqual(summary.status, 'vetoed')
+  assert.deepStrictEqual(summary.hooks.map(({ stage, status, exitCode }) => [stage, status, exitCode]), [
+    ['preSync', 'failed', 3],
+  ])
+  assert.match(result.output, /not today/)
+  assert.match(result.output, /vetoed the preSync step: exit code 3/)
+  assert.deepStrictEqual(tips(repo), before)
+})
+
+test('a postMerge veto rolls the update back and pauses the sync on the branch', (t) => {
+  const repo = createStackRepo(t)
+  repo.writeConfig({ settings: { hooks: { postMerge: [vetoFor('feature2')] } } })
+  const before = tips(repo)
+
+  const result = repo.run([...STACK, ...QUIET_SYNC, '--json'])
+  assert.strictEqual(result.status, 1, result.output)
+  const summary = result.json()
+  assert.strictEqual(summary.status, 'vetoed')
+  assert.deepStrictEqual(summary.updates.map(({ branch, status }) => [branch, status]), [
+    ['feature1', 'updated'],
+    ['feature2', 'vetoed'],
+  ])
+  assert.ok(repo.contains('feature1', 'master'))
+  assert.strictEqual(repo.tip('feature2'), before.feature2)
+  assert.strictEqual(repo.tip('feature3'), before.feature3)
+  assert.strictEqual(repo.git('rev-parse', '--abbrev-ref', 'HEAD'), 'feature2')
+  assert.strictEqual(repo.git('status', '--porcelain'), '')
+})
+
+test('a prePush veto keeps only that branch back', (t) => {
+  const repo = createStackRepo(t)
+  repo.writeConfig({ settings: { hooks: { prePush: [vetoFor('feature2')] } } })
+  const origin = path.join(repo.dir, 'origin.git')
+  const before = tips(repo, origin)
+
+  const result = repo.run([...STACK, ...SYNC_AND_PUSH])
+  assert.strictEqual(result.status, 1, result.output)
+  assert.deepStrictEqual(pushStatuses(result), { feature1: 'pushed', feature2: 'vetoed', feature3: 'pushed' })
+  const after = tips(repo, origin)
+  assert.strictEqual(after.feature1, repo.tip('feature1'))
+  assert.strictEqual(after.feature2, before.feature2)
+  assert.strictEqual(after.feature3, repo.tip('feature3'))
+})
+
+test('a prePush veto calls off the whole push when it is atomic', (t) => {
+  const repo = createStackRepo(t)
+  repo.writeConfig({ settings: { hooks: { prePush: [vetoFor('feature2')] } } })
+  const origin = path.join(repo.dir, 'origin.git')
+  const before = tips(repo, origin)
+
+  const result = repo.run([...STACK, ...SYNC_AND_PUSH, '--atomic'])
+  assert.strictEqual(result.status, 1, result.output)
+  assert.deepStrictEqual(pushStatuses(result), { feature1: 'skipped', feature2: 'vetoed', feature3: 'skipped' })
+  assert.ok(repo.contains('feature3', 'master'), 'the branches were still updated')
+  assert.deepStrictEqual(tips(repo, origin), before)
+})
+
+test('hook commands get the context as STACKED_PR_* variables and JSON, and plugins as an object', (t) => {
+  const repo = createStackRepo(t)
+  const record = (name) => path.join(repo.dir, name)
+  // Record what the postMerge hooks are given for feature2
+  const command = `test "$STACKED_PR_BRANCH" != feature2 || { env | grep '^STACKED_PR_' | sort > "${record('env')}"`
+    + ` && cat > "${record('stdin.json')}"; }`
+  const plugin = record('recorder.js')
+  fs.writeFileSync(plugin, [
+    'const fs = require(\'fs\')',
+    'module.exports = {',
+    '  name: \'recorder\',',
+    '  postMerge(context, { log }) {',
+    '    if (context.branch === \'feature2\') {',
+    `      fs.writeFileSync(${JSON.stringify(record('plugin.json'))}, JSON.stringify(context))`,
+    '      log(\'recorded feature2\')',
+    '    }',
+    '  },',
+    '}',
+    '',
+  ].join('\n'))
+  repo.writeConfig({
+    stacks: { mine: { branches: STACK } },
+    settings: { hooks: { postMerge: [command], plugins: [plugin] } },
+  })
+  const before = repo.tip('feature2')
+
+  const result = repo.run(['mine', ...QUIET_SYNC])
+  assert.strictEqual(result.status, 0, result.output)
+  assert.match(result.output, /^ {3}recorded feature2$/m)
+
+  const after = repo.tip('feature2')
+  const environment = fs.readFileSync(record('env'), 'utf8')
+  assert.strictEqual(environment, [
+    'STACKED_PR_BRANCH=feature2',
+    'STACKED_PR_BRANCHES=master feature1 feature2 feature3',
+    'STACKED_PR_HOOK=postMerge',
+    `STACKED_PR_NEW_SHA=${after}`,
+    `STACKED_PR_OLD_SHA=${before}`,
+    'STACKED_PR_PARENT=feature1',
+    'STACKED_PR_REMOTE=',
+    'STACKED_PR_STACK=mine',
+    '',
+  ].join('\n'))
+
+  const expected = {
+    stage: 'postMerge',
+    stack: 'mine',
+    branches: STACK,
+    strategy: 'merge',
+    worktree: null,
+    branch: 'feature2',
+    parent: 'feature1',
+    before,
+    after,
+    remote: null,
+  }
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(record('stdin.json'), 'utf8')), expected)
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(record('plugin.json'), 'utf8')), expected)
+})
@@ -0,0 +1,97 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { QUIET_SYNC, createRepo, createStackRepo } = require('./helpers/repo')
+
+const STACK = ['master', 'feature1', 'feature2', 'feature3']
+
+// Squash-merge feature1 into master, then change its file on master, so merging the old feature1 commits back
+// in would conflict
+function landFeature1(repo) {
+  repo.git('checkout', '-q', 'master')
+  repo.git('merge', '-q', '--squash', 'feature1')
+  repo.git('commit', '-q', '-m', 'Land feature1 (squash)')
+  repo.commit('feature1.txt', 'feature1 v2\n', 'Follow-up on feature1')
+}
+
+test('takes a landed branch out of the stack and rebases everything above it', (t) => {
+  const repo = createStackRepo(t)
+  landFeature1(repo)
+
+  const result = repo.run([...STACK, ...QUIET_SYNC, '--json'])
+  assert.strictEqual(result.status, 0, result.output)
+  const summary = result.json()
+  // A squash of its only commit is that commit's patch
+  const landed = summary.landed.map(({ branch, reason }) => [branch, reason])
+  assert.deepStrictEqual(landed, [['feature1', 'patch-equivalent']])
+  assert.deepStrictEqual(summary.updates.map((update) => [update.parent, update.branch, update.status]), [
+    ['master', 'feature2', 'reparented'],
+    ['feature2', 'feature3', 'updated'],
+  ])
+  // The grandchild is rebased too, so the old feature1 commits don't come back through a merge
+  assert.ok(!repo.contains('feature3', 'feature1'))
+  assert.strictEqual(repo.git('log', '--format=%s', 'master..feature3'), 'feature3 work\nfeature2 work')
+  // --yes keeps the landed branch
+  assert.ok(repo.tip('feature1'))
+})
+
+test('finds a branch squash-merged from several commits', (t) => {
+  const repo = createRepo(t)
+  repo.git('checkout', '-q', '-b', 'feature1')
+  repo.commit('feature1.txt', 'one\n', 'feature1 part 1')
+  repo.commit('feature1.txt', 'one\ntwo\n', 'feature1 part 2')
+  repo.git('checkout', '-q', '-b', 'feature2')
+  repo.commit('feature2.txt', 'feature2\n', 'feature2 work')
+  repo.git('checkout', '-q', 'master')
+  repo.git('merge', '-q', '--squash', 'feature1')
+  repo.git('commit', '-q', '-m', 'Land feature1 (squash)')
+
+  const result = repo.run(['master', 'feature1', 'feature2', ...QUIET_SYNC, '--json'])
+  assert.strictEqual(result.status, 0, result.output)
+  assert.deepStrictEqual(result.json().landed.map(({ branch, reason }) => [branch, reason]), [['feature1', 'squashed']])
+  assert.strictEqual(repo.git('log', '--format=%s', 'master..feature2'), 'feature2 work')
+})
+
+test('the pre-check predicts conflicts in branches rebased above a landed one', (t) => {
+  const repo = createStackRepo(t)
+  // feature3 edits the file feature1 added, which the rebase onto master has to replay
+  repo.git('checkout', '-q', 'feature3')
+  repo.commit('feature1.txt', 'feature3\'s take\n', 'feature3 edits feature1.txt')
+  landFeature1(repo)
+  const before = repo.tip('feature3')
+
+  const result = repo.run([...STACK, ...QUIET_SYNC, '--json'])
+  assert.strictEqual(result.status, 1, result.output)
+  const conflicts = result.json().conflicts.filter((conflict) => conflict.phase === 'pre-check')
+  assert.ok(conflicts.length > 0, result.output)
+  assert.strictEqual(repo.tip('feature3'), before, 'nothing changes when the pre-check finds a conflict')
+})
+
+test('a branch with no commits of its own has not landed', (t) => {
+  const repo = createStackRepo(t)
+  repo.git('branch', 'empty', 'master~1')
+  repo.writeConfig({ stacks: { mine: { branches: ['master', 'empty', 'feature2'] } } })
+
+  const result = repo.run(['mine', ...QUIET_SYNC, '--remove-landed=yes', '--json'])
+  assert.strictEqual(result.status, 0, result.output)
+  assert.deepStrictEqual(result.json().landed, [])
+  assert.ok(repo.tip('empty'))
+  assert.deepStrictEqual(JSON.parse(repo.readConfig()).stacks.mine.branches, ['master', 'empty', 'feature2'])
+})
+
+test('a merged branch is found and removed only when asked to', (t) => {
+  const repo = createStackRepo(t)
+  repo.git('merge', '-q', '--no-ff', '-m', 'Merge feature1', 'feature1')
+  repo.writeConfig({ stacks: { mine: { branches: ['master', 'feature1', 'feature2'] } } })
+
+  const kept = repo.run(['mine', ...QUIET_SYNC, '--json'])
+  assert.strictEqual(kept.status, 0, kept.output)
+  assert.deepStrictEqual(kept.json().landed.map(({ branch, reason, deleted }) => [branch, reason, deleted]), [
+    ['feature1', 'merged', false],
+  ])
+  assert.ok(repo.tip('feature1'))
+
+  const removed = repo.run(['mine', ...QUIET_SYNC, '--remove-landed=yes'])
+  assert.strictEqual(removed.status, 0, removed.output)
+  assert.strictEqual(repo.git('branch', '--list', 'feature1'), '')
+  assert.deepStrictEqual(JSON.parse(repo.readConfig()).stacks.mine.branches, ['master', 'feature2'])
+})
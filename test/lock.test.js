@@ -0,0 +1,64 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { QUIET_SYNC, createRepo } = require('./helpers/repo')
+
+const LOCK = path.join('.git', 'stacked-pr-sync.lock')
+const STACK_CONFIG = { defaultStack: 'mine', stacks: { mine: { branches: ['master', 'feature1'] } } }
+
+test('commands that change the repository fail right away while another run holds the lock', (t) => {
+  const repo = createRepo(t)
+  repo.writeConfig(STACK_CONFIG)
+  // Held by a process that is still running: this test's
+  const holder = { pid: process.pid, hostname: os.hostname(), command: 'sync', startedAt: new Date().toISOString() }
+  repo.write(LOCK, JSON.stringify(holder))
+
+  const commands = [
+    ['master', 'feature1', ...QUIET_SYNC],
+    ['stack', 'add', 'master'],
+    ['stack', 'set-default', 'mine'],
+    ['backups', 'prune'],
+    ['import', '--from-prs', 'feature1'],
+  ]
+  commands.forEach((args) => {
+    const result = repo.run(args)
+    assert.strictEqual(result.status, 1, args.join(' '))
+    assert.match(result.output, /Another stacked-pr-sync is already running in this repository \(sync, pid/)
+  })
+  assert.ok(repo.exists(LOCK), 'the lock is left to its holder')
+})
+
+test('a lock that can\'t be read is held while it is new, and taken over once it is old', (t) => {
+  const repo = createRepo(t)
+  repo.writeConfig(STACK_CONFIG)
+  // What another run's lock looks like while it is still being written
+  repo.write(LOCK, '')
+
+  const held = repo.run(['stack', 'set-default', 'mine'])
+  assert.strictEqual(held.status, 1)
+  assert.match(held.output, /Another stacked-pr-sync is already running in this repository\. If it is not, delete/)
+  assert.strictEqual(repo.read(LOCK), '', 'the lock is left to its holder')
+
+  const old = new Date(Date.now() - 60000)
+  fs.utimesSync(path.join(repo.work, LOCK), old, old)
+  const taken = repo.run(['stack', 'set-default', 'mine'])
+  assert.strictEqual(taken.status, 0, taken.output)
+  assert.match(taken.output, /Removing an unreadable lock file/)
+  assert.ok(!repo.exists(LOCK), 'released when the command is done')
+})
+
+test('a lock left by a process that is gone is taken over', (t) => {
+  const repo = createRepo(t)
+  repo.writeConfig(STACK_CONFIG)
+  // A pid no process has: beyond the largest Linux allows
+  const holder = { pid: 2 ** 22 + 1, hostname: os.hostname(), command: 'sync', startedAt: new Date().toISOString() }
+  repo.write(LOCK, JSON.stringify(holder))
+
+  const result = repo.run(['stack', 'set-default', 'mine'])
+  assert.strictEqual(result.status, 0, result.output)
+  assert.match(result.output, /Removing a stale lock: pid 4194305 \(sync, since/)
+  assert.ok(!repo.exists(LOCK))
+  assert.deepStrictEqual(fs.readdirSync(path.join(repo.work, '.git')).filter((file) => file.includes('lock')), [])
+})
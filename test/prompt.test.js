@@ -0,0 +1,43 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { setQuestionHandler } = require('../src')
+const { configurePrompts, askChoice, askConfirm } = require('../src/utils/prompt')
+
+const CHOICES = [
+  { value: 'rollback', label: 'Roll it back' },
+  { value: 'keep', label: 'Keep it' },
+]
+
+test('setQuestionHandler answers the questions nothing else answers', async (t) => {
+  t.after(() => setQuestionHandler())
+  const asked = []
+  setQuestionHandler(async (question) => {
+    asked.push(question)
+    return question.includes('(y/n)') ? 'y' : '2'
+  })
+  configurePrompts({ answers: { push: 'all' } })
+
+  assert.strictEqual(await askConfirm('remove-landed', 'Delete feature1?'), true)
+  assert.strictEqual(await askChoice('verify-failure', 'What now?', CHOICES), 'keep')
+  assert.strictEqual(await askChoice('push', 'Push?', [{ value: 'all', label: 'All' }]), 'all')
+  assert.strictEqual(asked.length, 2, 'a preset answer is not asked')
+  assert.match(asked[1], /1\. Roll it back\n2\. Keep it/)
+})
+
+test('--yes takes each question\'s default, and never agrees to delete', async (t) => {
+  t.after(() => setQuestionHandler())
+  setQuestionHandler(() => assert.fail('nothing is asked with --yes'))
+  configurePrompts({ yes: true })
+
+  assert.strictEqual(await askChoice('verify-failure', 'What now?', CHOICES, { yesAnswer: 'rollback' }), 'rollback')
+  assert.strictEqual(await askConfirm('push-branch', 'Push feature1?'), true)
+  assert.strictEqual(await askConfirm('remove-landed', 'Delete feature1?', { yesAnswer: false }), false)
+})
+
+test('a question nobody can answer fails in non-interactive mode', async () => {
+  configurePrompts({ interactive: false })
+  await assert.rejects(askConfirm('remove-landed', 'Delete feature1?', { hint: '--remove-landed=yes|no' }), {
+    code: 'NON_INTERACTIVE',
+    message: /Answer it ahead of time with --remove-landed=yes\|no/,
+  })
+})
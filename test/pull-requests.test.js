@@ -0,0 +1,60 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { createStackRepo } = require('./helpers/repo')
+const { hostRepository, pullRequest, startGitHubStub } = require('./helpers/github')
+
+const STACK = ['master', 'feature1', 'feature2', 'feature3']
+const SYNC_WITH_PRS = ['--yes', '--origin-sync=skip', '--push=all', '--prs', '--json']
+const TABLE_START = '<!-- stacked-pr-sync:stack -->'
+const TABLE_END = '<!-- /stacked-pr-sync:stack -->'
+
+test('creates missing pull requests against the parent and retargets one with the wrong base', async (t) => {
+  const repo = createStackRepo(t)
+  hostRepository(repo, 'origin', 'acme/widgets')
+  const github = await startGitHubStub(t, {
+    'acme/widgets': [pullRequest('acme/widgets', 7, 'acme:feature2', 'master', 'Adds feature2')],
+  })
+
+  const result = await repo.runAsync([...STACK, ...SYNC_WITH_PRS], { env: github.env })
+  assert.strictEqual(result.status, 0, result.output)
+  const actions = result.json().pullRequests.map(({ branch, base, number, action }) => [branch, base, number, action])
+  assert.deepStrictEqual(actions, [
+    ['feature1', 'master', 101, 'created'],
+    ['feature2', 'feature1', 7, 'retargeted'],
+    ['feature3', 'feature2', 102, 'created'],
+  ])
+  const pulls = github.pulls['acme/widgets']
+  assert.deepStrictEqual(pulls.map((pull) => [pull.head.label, pull.base.ref]), [
+    ['acme:feature2', 'feature1'],
+    ['acme:feature1', 'master'],
+    ['acme:feature3', 'feature2'],
+  ])
+  assert.strictEqual(pulls[1].title, 'feature1 work')
+  // Every pull request lists the whole stack, pointing at itself
+  assert.ok(pulls[0].body.startsWith(`Adds feature2\n\n${TABLE_START}`), pulls[0].body)
+  pulls.forEach((pull) => {
+    assert.match(pull.body, /\| #102 \|[^]*\| #7 \|[^]*\| #101 \|/)
+    assert.match(pull.body, new RegExp(`\\| 👉 \\| #${pull.number} \\|`))
+  })
+})
+
+test('a second run replaces the stack table between its markers and keeps the rest of the body', async (t) => {
+  const repo = createStackRepo(t)
+  hostRepository(repo, 'origin', 'acme/widgets')
+  const github = await startGitHubStub(t)
+  const first = await repo.runAsync([...STACK, ...SYNC_WITH_PRS], { env: github.env })
+  assert.strictEqual(first.status, 0, first.output)
+
+  // Someone writes around the table, then feature3 leaves the stack
+  const feature2 = github.pulls['acme/widgets'].find((pull) => pull.head.ref === 'feature2')
+  feature2.body = `Notes above\n\n${feature2.body}\n\nNotes below`
+  const second = await repo.runAsync(['master', 'feature1', 'feature2', ...SYNC_WITH_PRS], { env: github.env })
+  assert.strictEqual(second.status, 0, second.output)
+
+  const table = feature2.body.slice(feature2.body.indexOf(TABLE_START), feature2.body.indexOf(TABLE_END))
+  assert.ok(feature2.body.startsWith(`Notes above\n\n${TABLE_START}`), feature2.body)
+  assert.ok(feature2.body.endsWith(`${TABLE_END}\n\nNotes below`), feature2.body)
+  assert.strictEqual(feature2.body.split(TABLE_START).length, 2, 'one table')
+  assert.match(table, /\| 👉 \| #101 \| `feature2` → `feature1` \|/)
+  assert.doesNotMatch(table, /feature3/)
+})
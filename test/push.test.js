@@ -0,0 +1,60 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const path = require('path')
+const { createStackRepo } = require('./helpers/repo')
+
+const STACK = ['master', 'feature1', 'feature2']
+const REBASE_AND_PUSH = ['--yes', '--origin-sync=skip', '--strategy', 'rebase', '--push=all', '--json']
+
+// Commit on top of feature1 in a branch `elsewhere`, and return the git arguments that push it to feature1 by
+// the path of origin.git, so the clone's remote-tracking refs don't hear of it (like a push from someone else)
+function commitElsewhere(repo) {
+  repo.git('checkout', '-q', '-b', 'elsewhere', 'feature1')
+  repo.commit('elsewhere.txt', 'elsewhere\n', 'Pushed from elsewhere')
+  repo.git('checkout', '-q', 'master')
+  return ['push', '-q', path.join(repo.dir, 'origin.git'), 'elsewhere:refs/heads/feature1']
+}
+
+// The tip of a branch in origin.git
+function originTip(repo, branch) {
+  return repo.git('--git-dir', path.join(repo.dir, 'origin.git'), 'rev-parse', branch)
+}
+
+test('a rebased stack is pushed with leases on what the remote had', (t) => {
+  const repo = createStackRepo(t, ['feature1', 'feature2'])
+  const result = repo.run([...STACK, ...REBASE_AND_PUSH])
+
+  assert.strictEqual(result.status, 0, result.output)
+  assert.deepStrictEqual(result.json().pushes.map(({ branch, status, forced }) => [branch, status, forced]), [
+    ['feature1', 'pushed', true],
+    ['feature2', 'pushed', true],
+  ])
+  assert.strictEqual(originTip(repo, 'feature1'), repo.tip('feature1'))
+  assert.strictEqual(originTip(repo, 'feature2'), repo.tip('feature2'))
+})
+
+test('the sync fetches first, so a push made before it started shows in the status check', (t) => {
+  const repo = createStackRepo(t, ['feature1', 'feature2'])
+  repo.git(...commitElsewhere(repo))
+
+  const result = repo.run([...STACK, '--yes', '--origin-sync=skip', '--push=none', '--json'])
+  assert.strictEqual(result.status, 0, result.output)
+  const feature1 = result.json().branches.find(({ branch }) => branch === 'feature1')
+  assert.strictEqual(feature1.syncStatus, 'out-of-sync')
+})
+
+test('a lease rejects the push when the remote moves during the sync', (t) => {
+  const repo = createStackRepo(t, ['feature1', 'feature2'])
+  const before = originTip(repo, 'feature1')
+  // Someone pushes to feature1 while the sync is rebasing it
+  const push = ['git', ...commitElsewhere(repo)].map((arg) => `'${arg}'`).join(' ')
+  repo.writeConfig({ settings: { hooks: { postMerge: [`test "$STACKED_PR_BRANCH" != feature1 || ${push}`] } } })
+
+  const result = repo.run([...STACK, ...REBASE_AND_PUSH])
+  assert.strictEqual(result.status, 1, result.output)
+  const [feature1] = result.json().pushes
+  assert.strictEqual(feature1.status, 'rejected')
+  assert.match(feature1.reason, /^stale info/)
+  assert.notStrictEqual(originTip(repo, 'feature1'), before)
+  assert.strictEqual(originTip(repo, 'feature1'), repo.tip('elsewhere'), 'their push is not overwritten')
+})
@@ -0,0 +1,53 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const path = require('path')
+const { QUIET_SYNC, createRepo, createStackRepo } = require('./helpers/repo')
+const { resolveSettings } = require('../src/utils/settings')
+const { configureRemotes, getRemoteRef } = require('../src/utils/remotes')
+
+test('remotes that are asked for win over upstream tracking config', (t) => {
+  const repo = createRepo(t)
+  repo.git('remote', 'add', 'upstream', repo.dir)
+  repo.git('config', 'branch.master.remote', 'origin')
+  repo.git('config', 'branch.master.merge', 'refs/heads/master')
+  repo.git('config', 'branch.feature1.remote', 'origin')
+  repo.git('config', 'branch.feature1.merge', 'refs/heads/feature1-remote')
+  const branches = ['master', 'feature1']
+  const refs = (remotes) => repo.within(() => {
+    configureRemotes(branches, remotes)
+    return branches.map(getRemoteRef)
+  })
+
+  assert.deepStrictEqual(refs({}), ['origin/master', 'origin/feature1-remote'])
+  assert.deepStrictEqual(refs({ baseRemote: 'upstream' }), ['upstream/master', 'origin/feature1-remote'])
+  assert.deepStrictEqual(refs({ remote: 'upstream' }), ['origin/master', 'upstream/feature1'])
+  // An upstream on the remote that was asked for still names the branch there
+  assert.deepStrictEqual(refs({ remote: 'origin' }), ['origin/master', 'origin/feature1-remote'])
+
+  // The stack's own remotes count as asked for too
+  repo.writeConfig({ stacks: { mine: { branches, baseRemote: 'upstream' } } })
+  const settings = repo.within(() => resolveSettings({}, { branches, env: {} }))
+  assert.deepStrictEqual(refs({ remote: settings.remote, baseRemote: settings.baseRemote }), [
+    'upstream/master',
+    'origin/feature1-remote',
+  ])
+})
+
+test('a sync fetches the base remote as well as the stack remote', (t) => {
+  const repo = createStackRepo(t, ['feature1'])
+  const upstream = path.join(repo.dir, 'upstream.git')
+  repo.git('clone', '-q', '--bare', path.join(repo.dir, 'origin.git'), upstream)
+  repo.git('remote', 'add', 'upstream', upstream)
+  repo.git('fetch', '-q', 'upstream')
+  // Someone else moves master on upstream
+  repo.git('checkout', '-q', '-b', 'theirs', 'upstream/master')
+  const theirs = repo.commit('theirs.txt', 'theirs\n', 'Their change')
+  repo.git('checkout', '-q', 'master')
+  repo.git('push', '-q', upstream, 'theirs:refs/heads/master')
+
+  const result = repo.run(['master', 'feature1', ...QUIET_SYNC, '--base-remote', 'upstream', '--json'])
+  assert.strictEqual(result.status, 0, result.output)
+  assert.strictEqual(repo.tip('upstream/master'), theirs)
+  const master = result.json().branches.find(({ branch }) => branch === 'master')
+  assert.strictEqual(master.syncStatus, 'out-of-sync')
+})
@@ -0,0 +1,33 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { QUIET_SYNC, createStackRepo } = require('./helpers/repo')
+
+const STACK = ['master', 'feature1', 'feature2']
+
+test('--json prints exactly one document on stdout and the progress on stderr', (t) => {
+  const repo = createStackRepo(t, ['feature1', 'feature2'])
+  const result = repo.run([...STACK, ...QUIET_SYNC, '--json'])
+
+  assert.strictEqual(result.status, 0, result.output)
+  const summary = JSON.parse(result.stdout)
+  assert.strictEqual(summary.status, 'completed')
+  assert.deepStrictEqual(summary.updates.map(({ branch }) => branch), ['feature1', 'feature2'])
+  assert.notStrictEqual(result.stderr, '')
+})
+
+test('--ndjson prints one event per line as the sync goes', (t) => {
+  const repo = createStackRepo(t, ['feature1', 'feature2'])
+  const result = repo.run([...STACK, ...QUIET_SYNC, '--ndjson'])
+
+  assert.strictEqual(result.status, 0, result.output)
+  const lines = result.stdout.trim().split('\n')
+  const events = lines.map((line) => JSON.parse(line))
+  assert.ok(events.every(({ event, time }) => event && time), result.stdout)
+  const names = events.map(({ event }) => event)
+  assert.strictEqual(names[0], 'sync:start')
+  assert.strictEqual(names[names.length - 1], 'sync:complete')
+  assert.deepStrictEqual(
+    events.filter(({ event }) => event === 'branch:updated').map(({ branch }) => branch),
+    ['feature1', 'feature2']
+  )
+})
@@ -0,0 +1,55 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { createRepo } = require('./helpers/repo')
+const { hostRepository, pullRequest, startGitHubStub } = require('./helpers/github')
+
+// Pull requests in acme/widgets for a stack pushed to `owner`'s repository
+function stackPullRequests(owner) {
+  return {
+    'acme/widgets': [
+      pullRequest('acme/widgets', 1, `${owner}:feature1`, 'master'),
+      pullRequest('acme/widgets', 2, `${owner}:feature2`, 'feature1'),
+      pullRequest('acme/widgets', 3, `${owner}:feature3`, 'feature2'),
+    ],
+  }
+}
+
+test('import from a fork follows the pull requests in the base remote\'s repository', async (t) => {
+  const repo = createRepo(t)
+  hostRepository(repo, 'origin', 'alice/widgets')
+  hostRepository(repo, 'upstream', 'acme/widgets')
+  const github = await startGitHubStub(t, stackPullRequests('alice'))
+
+  const args = ['import', '--from-prs', 'feature3', 'mine', '--base-remote', 'upstream', '--json']
+  const result = await repo.runAsync(args, { env: github.env })
+  assert.strictEqual(result.status, 0, result.output)
+  const { status, stack, pullRequests } = result.json()
+  assert.strictEqual(status, 'created')
+  assert.deepStrictEqual(stack.branches, ['master', 'feature1', 'feature2', 'feature3'])
+  assert.deepStrictEqual(pullRequests, [1, 2, 3])
+  assert.ok(github.requests.every(({ path }) => path.startsWith('/repos/acme/widgets')), 'nothing asked of the fork')
+  assert.ok(github.requests.some(({ path }) => path.includes('head=alice%3Afeature3')))
+  assert.deepStrictEqual(JSON.parse(repo.readConfig()).stacks.mine.branches, stack.branches)
+})
+
+test('an existing stack is only replaced once the difference is shown and confirmed', async (t) => {
+  const repo = createRepo(t)
+  hostRepository(repo, 'origin', 'acme/widgets')
+  const github = await startGitHubStub(t, stackPullRequests('acme'))
+  const existing = { branches: ['master', 'feature1', 'feature3'], strategy: 'rebase' }
+  repo.writeConfig({ stacks: { mine: existing } })
+  const importMine = (input) => repo.runAsync(['import', '--from-prs', 'feature3', 'mine'], { input, env: github.env })
+
+  const declined = await importMine('n\n')
+  assert.strictEqual(declined.status, 1, declined.output)
+  assert.match(declined.output, /Stack "mine" already exists\. Changes:/)
+  assert.match(declined.output, /^\+\s+"feature2",$/m)
+  assert.match(declined.output, /Kept the existing stack "mine"/)
+  assert.deepStrictEqual(JSON.parse(repo.readConfig()).stacks.mine, existing)
+
+  const confirmed = await importMine('y\n')
+  assert.strictEqual(confirmed.status, 0, confirmed.output)
+  const { mine } = JSON.parse(repo.readConfig()).stacks
+  assert.deepStrictEqual(mine.branches, ['master', 'feature1', 'feature2', 'feature3'])
+  assert.strictEqual(mine.strategy, 'rebase', 'the stack keeps its own settings')
+})
@@ -0,0 +1,23 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { createRepo } = require('./helpers/repo')
+
+test('infer asks which branch is the parent when two are equally close', (t) => {
+  const repo = createRepo(t)
+  // left and right point at the same commit, and top is built on it
+  repo.git('checkout', '-q', '-b', 'left')
+  repo.commit('shared.txt', 'shared\n', 'Shared work')
+  repo.git('branch', 'right')
+  repo.git('checkout', '-q', '-b', 'top')
+  repo.commit('top.txt', 'top\n', 'Top work')
+
+  const asked = repo.run(['infer', '--json'], { input: '2\n' })
+  assert.strictEqual(asked.status, 0, asked.output)
+  assert.match(asked.stderr, /top could sit on any of: left, right/)
+  assert.match(asked.stderr, /Which branch is top built on\?/)
+  assert.deepStrictEqual(asked.json().branches, ['master', 'right', 'top'])
+
+  const unattended = repo.run(['infer', '--non-interactive'])
+  assert.strictEqual(unattended.status, 1)
+  assert.match(unattended.output, /Which branch is top built on\?/)
+})
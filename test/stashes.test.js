@@ -0,0 +1,52 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { QUIET_SYNC, createStackRepo } = require('./helpers/repo')
+
+const STACK = ['master', 'feature1', 'feature2', 'feature3']
+
+test('--include-untracked stashes untracked files and brings them back', (t) => {
+  const repo = createStackRepo(t)
+  repo.write('base.txt', 'my edit\n')
+  // Untracked, and in the way of checking out feature2 unless it is stashed
+  repo.write('feature2.txt', 'my notes\n')
+
+  const result = repo.run([...STACK, ...QUIET_SYNC, '--include-untracked', '--json'])
+  assert.strictEqual(result.status, 0, result.output)
+  assert.strictEqual(result.json().stashRestored, true)
+  assert.ok(repo.contains('feature3', 'master'))
+  assert.strictEqual(repo.read('base.txt'), 'my edit\n')
+  assert.strictEqual(repo.read('feature2.txt'), 'my notes\n')
+  assert.strictEqual(repo.git('stash', 'list'), '')
+})
+
+test('the sync\'s own stash is restored even when another was pushed on top of it', (t) => {
+  const repo = createStackRepo(t)
+  repo.write('base.txt', 'my edit\n')
+  // A hook stashes something of its own while the sync runs
+  const stashOfItsOwn = 'echo hook > hook.txt && git stash push -q -u -m "the hook\'s stash"'
+  const postMerge = `test "$STACKED_PR_BRANCH" != feature1 || ${stashOfItsOwn}`
+  repo.writeConfig({ settings: { hooks: { postMerge: [postMerge] } } })
+
+  const result = repo.run([...STACK, ...QUIET_SYNC, '--json'])
+  assert.strictEqual(result.status, 0, result.output)
+  assert.strictEqual(result.json().stashRestored, true)
+  assert.strictEqual(repo.read('base.txt'), 'my edit\n')
+  assert.ok(!repo.exists('hook.txt'))
+  assert.strictEqual(repo.git('stash', 'list', '--format=%gs'), 'On feature1: the hook\'s stash')
+})
+
+test('stash-recover lists a sync stash that was left behind and exits with 1', (t) => {
+  const repo = createStackRepo(t)
+  repo.write('base.txt', 'left behind\n')
+  repo.git('stash', 'push', '-q', '-m', 'stacked-pr-sync lq2k8f3a-9c01e2: uncommitted changes')
+  repo.write('base.txt', 'my own\n')
+  repo.git('stash', 'push', '-q', '-m', 'my own stash')
+
+  const result = repo.run(['stash-recover', '--json'])
+  assert.strictEqual(result.status, 1, result.output)
+  const stashes = result.json().stashes.map(({ ref, id, branch }) => [ref, id, branch])
+  assert.deepStrictEqual(stashes, [['stash@{1}', 'lq2k8f3a-9c01e2', 'master']])
+
+  repo.git('stash', 'drop', '-q', 'stash@{1}')
+  assert.strictEqual(repo.run(['stash-recover']).status, 0)
+})
@@ -0,0 +1,37 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { QUIET_SYNC, createStackRepo } = require('./helpers/repo')
+
+const STACK = ['master', 'feature1', 'feature2']
+
+test('status exits with 1 while the stack needs a sync and 0 once it is synced', (t) => {
+  const repo = createStackRepo(t, ['feature1', 'feature2'])
+
+  const before = repo.run(['status', ...STACK, '--json'])
+  assert.strictEqual(before.status, 1, before.output)
+  const report = before.json()
+  assert.strictEqual(report.needsSync, true)
+  assert.deepStrictEqual(report.branches.map(({ branch, state }) => [branch, state]), [
+    ['master', 'needs-push'],
+    ['feature1', 'needs-sync'],
+    ['feature2', 'clean'],
+  ])
+
+  assert.strictEqual(repo.run([...STACK, ...QUIET_SYNC]).status, 0)
+  repo.push('master', 'feature1', 'feature2')
+  const after = repo.run(['status', ...STACK, '--json'])
+  assert.strictEqual(after.status, 0, after.output)
+  assert.strictEqual(after.json().needsSync, false)
+})
+
+test('the commits a sync merged in are not counted as the branch\'s own', (t) => {
+  const repo = createStackRepo(t, ['feature1', 'feature2'])
+  assert.strictEqual(repo.run([...STACK, ...QUIET_SYNC]).status, 0)
+
+  const report = repo.run(['status', ...STACK, '--json']).json()
+  assert.deepStrictEqual(report.branches.map(({ branch, unique }) => [branch, unique]), [
+    ['master', null],
+    ['feature1', 1],
+    ['feature2', 1],
+  ])
+})
@@ -0,0 +1,159 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const path = require('path')
+const { QUIET_SYNC, createRepo, createStackRepo } = require('./helpers/repo')
+
+const STACK = ['master', 'feature1', 'feature2', 'feature3']
+
+// Put a commit on master that conflicts with feature1's file
+function addConflictOnMaster(repo, file = 'feature1.txt') {
+  repo.git('checkout', '-q', 'master')
+  repo.commit(file, 'master\'s version\n', `Master edits ${file}`)
+}
+
+test('merges each parent into its child, base first', (t) => {
+  const repo = createStackRepo(t)
+  const result = repo.run([...STACK, ...QUIET_SYNC, '--json'])
+
+  assert.strictEqual(result.status, 0, result.output)
+  const summary = result.json()
+  assert.strictEqual(summary.status, 'completed')
+  assert.deepStrictEqual(summary.updates.map((update) => [update.branch, update.status]), [
+    ['feature1', 'updated'],
+    ['feature2', 'updated'],
+    ['feature3', 'updated'],
+  ])
+  assert.ok(repo.contains('feature3', 'master'))
+  assert.ok(repo.contains('feature3', 'feature2'))
+  assert.strictEqual(repo.git('rev-parse', '--abbrev-ref', 'HEAD'), 'master')
+})
+
+test('rebases each branch onto its parent with --strategy rebase', (t) => {
+  const repo = createStackRepo(t)
+  const result = repo.run([...STACK, ...QUIET_SYNC, '--strategy', 'rebase'])
+
+  assert.strictEqual(result.status, 0, result.output)
+  assert.strictEqual(repo.git('log', '--merges', '--format=%h', 'master..feature3'), '')
+  assert.strictEqual(repo.git('log', '--format=%s', 'master..feature3'), 'feature3 work\nfeature2 work\nfeature1 work')
+})
+
+test('pauses on a conflict, then --continue finishes the sync', (t) => {
+  const repo = createStackRepo(t)
+  addConflictOnMaster(repo)
+
+  const paused = repo.run([...STACK, ...QUIET_SYNC, '--no-pre-conflict-check', '--json'])
+  assert.strictEqual(paused.status, 1, paused.output)
+  assert.strictEqual(paused.json().status, 'conflict')
+  assert.strictEqual(repo.git('rev-parse', '--abbrev-ref', 'HEAD'), 'feature1')
+
+  // Not resolved yet
+  const early = repo.run(['--continue', ...QUIET_SYNC])
+  assert.strictEqual(early.status, 1)
+  assert.match(early.output, /The merge of master into feature1 is not finished yet/)
+
+  repo.write('feature1.txt', 'both\n')
+  repo.git('commit', '-q', '-a', '-m', 'Resolve')
+  const continued = repo.run(['--continue', ...QUIET_SYNC])
+  assert.strictEqual(continued.status, 0, continued.output)
+  assert.ok(repo.contains('feature3', 'master'))
+  assert.strictEqual(repo.run([...STACK, ...QUIET_SYNC]).status, 0, 'the saved state is cleared')
+})
+
+test('--abort puts every branch back where it was', (t) => {
+  const repo = createStackRepo(t)
+  addConflictOnMaster(repo)
+  const before = STACK.map((branch) => repo.tip(branch))
+
+  assert.strictEqual(repo.run([...STACK, ...QUIET_SYNC, '--no-pre-conflict-check']).status, 1)
+  const aborted = repo.run(['--abort'])
+
+  assert.strictEqual(aborted.status, 0, aborted.output)
+  assert.deepStrictEqual(STACK.map((branch) => repo.tip(branch)), before)
+  assert.strictEqual(repo.git('rev-parse', '--abbrev-ref', 'HEAD'), 'master')
+  assert.strictEqual(repo.git('status', '--porcelain'), '')
+})
+
+test('--continue resumes after a failure that did not pause the sync', (t) => {
+  const repo = createStackRepo(t)
+  addConflictOnMaster(repo)
+  assert.strictEqual(repo.run([...STACK, ...QUIET_SYNC, '--no-pre-conflict-check']).status, 1)
+  repo.write('feature1.txt', 'both\n')
+  repo.git('commit', '-q', '-a', '-m', 'Resolve')
+
+  // An untracked file in the way of checking out the next branch stops the sync without pausing it
+  repo.write('feature2.txt', 'in the way\n')
+  const blocked = repo.run(['--continue', ...QUIET_SYNC])
+  assert.strictEqual(blocked.status, 1)
+  assert.match(blocked.output, /would be overwritten by checkout/)
+
+  fs.rmSync(path.join(repo.work, 'feature2.txt'))
+  const resumed = repo.run(['--continue', ...QUIET_SYNC])
+  assert.strictEqual(resumed.status, 0, resumed.output)
+  assert.doesNotMatch(resumed.output, /Cannot read properties/)
+  assert.ok(repo.contains('feature3', 'master'))
+})
+
+test('--continue reports a saved state that did not pause on a branch as stale', (t) => {
+  const repo = createStackRepo(t)
+  addConflictOnMaster(repo)
+  assert.strictEqual(repo.run([...STACK, ...QUIET_SYNC, '--no-pre-conflict-check']).status, 1)
+  repo.git('merge', '--abort')
+  const statePath = path.join(repo.work, '.git', 'stacked-pr-sync-state.json')
+  const state = JSON.parse(fs.readFileSync(statePath, 'utf8'))
+  state.queue.shift()
+  fs.writeFileSync(statePath, JSON.stringify(state))
+
+  const continued = repo.run(['--continue', ...QUIET_SYNC])
+  assert.strictEqual(continued.status, 1)
+  assert.match(continued.output, /saved sync state is stale.*--abort/)
+  assert.strictEqual(repo.run(['--abort']).status, 0)
+  assert.ok(!fs.existsSync(statePath))
+})
+
+test('a modify/delete conflict pauses the sync like any other conflict', (t) => {
+  const repo = createStackRepo(t)
+  repo.git('checkout', '-q', 'feature1')
+  repo.commit('base.txt', 'feature1\'s base\n', 'Edit base')
+  repo.git('checkout', '-q', 'master')
+  repo.git('rm', '-q', 'base.txt')
+  repo.git('commit', '-q', '-m', 'Drop base')
+
+  const result = repo.run([...STACK, ...QUIET_SYNC, '--no-pre-conflict-check', '--json'])
+  assert.strictEqual(result.status, 1, result.output)
+  const summary = result.json()
+  assert.strictEqual(summary.status, 'conflict')
+  assert.deepStrictEqual(summary.conflicts.map(({ phase, branch }) => [phase, branch]), [['sync', 'feature1']])
+  assert.match(repo.git('status', '--porcelain'), /^UD base.txt/m)
+})
+
+test('a conflicting subtree only stops its own descendants', (t) => {
+  const repo = createRepo(t)
+  // master → feature1, which forks into left (with leftchild on it) and right
+  const branch = (name, from) => {
+    repo.git('checkout', '-q', '-b', name, from)
+    repo.commit(`${name}.txt`, `${name}\n`, `${name} work`)
+  }
+  branch('feature1', 'master')
+  branch('left', 'feature1')
+  branch('leftchild', 'left')
+  branch('right', 'feature1')
+  addConflictOnMaster(repo, 'left.txt')
+  repo.writeConfig({
+    stacks: {
+      forked: { branches: ['master', 'feature1', 'left', 'leftchild', 'right'], parents: { right: 'feature1' } },
+    },
+  })
+
+  const result = repo.run(['forked', ...QUIET_SYNC, '--no-pre-conflict-check', '--json'])
+  assert.strictEqual(result.status, 1, result.output)
+  const summary = result.json()
+  assert.strictEqual(summary.status, 'conflict')
+  assert.deepStrictEqual(summary.conflicts.map(({ branch }) => branch), ['left'])
+  // right was synced while left waited, and the sync paused on left once everything else was done
+  assert.ok(repo.contains('right', 'master'))
+  assert.ok(repo.contains('feature1', 'master'))
+  assert.ok(!repo.contains('leftchild', 'master'))
+  assert.strictEqual(repo.git('rev-parse', '--abbrev-ref', 'HEAD'), 'left')
+  assert.match(result.stderr, /Setting left, leftchild aside/)
+})
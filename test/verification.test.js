@@ -0,0 +1,42 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { QUIET_SYNC, createStackRepo } = require('./helpers/repo')
+
+const STACK = ['master', 'feature1', 'feature2', 'feature3']
+
+test('an update that fails its check is rolled back and the sync pauses', (t) => {
+  const repo = createStackRepo(t)
+  const before = repo.tip('feature1')
+
+  const result = repo.run([...STACK, ...QUIET_SYNC, '--verify', 'false', '--on-verify-failure=rollback', '--json'])
+  assert.strictEqual(result.status, 1, result.output)
+  const summary = result.json()
+  assert.strictEqual(summary.status, 'verify-failed')
+  assert.deepStrictEqual(summary.verifications.map(({ branch, command, status }) => [branch, command, status]), [
+    ['feature1', 'false', 'failed'],
+  ])
+  assert.strictEqual(repo.tip('feature1'), before)
+  assert.ok(!repo.contains('feature2', 'master'), 'nothing is built on the broken update')
+})
+
+test('a kept update that failed its check can be fixed and the sync continued', (t) => {
+  const repo = createStackRepo(t)
+  const verify = ['--verify', 'test -f fixed.txt']
+
+  const paused = repo.run([...STACK, ...QUIET_SYNC, ...verify, '--on-verify-failure=keep'])
+  assert.strictEqual(paused.status, 1, paused.output)
+  assert.ok(repo.contains('feature1', 'master'), 'the update is kept')
+  assert.strictEqual(repo.git('rev-parse', '--abbrev-ref', 'HEAD'), 'feature1')
+
+  repo.commit('fixed.txt', 'fixed\n', 'Fix feature1')
+  const continued = repo.run(['--continue', ...QUIET_SYNC, '--json'])
+  assert.strictEqual(continued.status, 0, continued.output)
+  const summary = continued.json()
+  assert.deepStrictEqual(summary.verifications.map(({ branch, status }) => [branch, status]), [
+    ['feature1', 'passed'],
+    ['feature2', 'passed'],
+    ['feature3', 'passed'],
+  ])
+  assert.ok(repo.contains('feature3', 'master'))
+  assert.ok(repo.contains('feature3', 'feature1'))
+})
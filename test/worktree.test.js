@@ -0,0 +1,56 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { QUIET_SYNC, createStackRepo } = require('./helpers/repo')
+
+const STACK = ['master', 'feature1', 'feature2', 'feature3']
+const IN_WORKTREE = [...STACK, ...QUIET_SYNC, '--worktree', '--json']
+
+test('the user\'s checkout stays on its branch with its edits while the stack is synced elsewhere', (t) => {
+  const repo = createStackRepo(t)
+  repo.git('checkout', '-q', '-b', 'scratch')
+  repo.write('base.txt', 'my edit\n')
+  repo.write('notes.txt', 'untracked\n')
+
+  const result = repo.run(IN_WORKTREE)
+  assert.strictEqual(result.status, 0, result.output)
+  assert.ok(repo.contains('feature3', 'master'))
+  assert.strictEqual(repo.git('rev-parse', '--abbrev-ref', 'HEAD'), 'scratch')
+  assert.strictEqual(repo.read('base.txt'), 'my edit\n')
+  assert.strictEqual(repo.read('notes.txt'), 'untracked\n')
+  assert.strictEqual(repo.git('stash', 'list'), '', 'nothing was stashed')
+  assert.strictEqual(repo.git('worktree', 'list').split('\n').length, 1, 'the temporary worktree is gone')
+})
+
+test('a branch checked out in the user\'s checkout is fast-forwarded there', (t) => {
+  const repo = createStackRepo(t)
+  repo.git('checkout', '-q', 'feature2')
+  repo.write('feature2.txt', 'my edit\n')
+
+  const result = repo.run(IN_WORKTREE)
+  assert.strictEqual(result.status, 0, result.output)
+  assert.ok(repo.contains('feature2', 'master'))
+  assert.ok(repo.contains('feature3', 'feature2'))
+  assert.strictEqual(repo.git('rev-parse', '--abbrev-ref', 'HEAD'), 'feature2')
+  // Its files followed the branch, and the edit is still there
+  assert.strictEqual(repo.read('base.txt'), 'base\nmore\n')
+  assert.strictEqual(repo.read('feature2.txt'), 'my edit\n')
+})
+
+test('a checked-out branch that can\'t be fast-forwarded is blocked, and the branches on it skipped', (t) => {
+  const repo = createStackRepo(t)
+  repo.git('checkout', '-q', 'feature2')
+  const before = { feature2: repo.tip('feature2'), feature3: repo.tip('feature3') }
+
+  // A rebase rewrites feature2, which can't be moved under the user's feet
+  const result = repo.run([...IN_WORKTREE, '--strategy', 'rebase'])
+  assert.strictEqual(result.status, 1, result.output)
+  const updates = result.json().updates.map(({ branch, status }) => [branch, status])
+  assert.deepStrictEqual(updates, [
+    ['feature1', 'updated'],
+    ['feature2', 'blocked'],
+    ['feature3', 'skipped'],
+  ])
+  assert.ok(repo.contains('feature1', 'master'))
+  assert.deepStrictEqual({ feature2: repo.tip('feature2'), feature3: repo.tip('feature3') }, before)
+  assert.strictEqual(repo.git('rev-parse', '--abbrev-ref', 'HEAD'), 'feature2')
+})